@@ -156,14 +156,62 @@ function showEnvironmentVariables() {
   const envVars = [
     { name: "ASN_PROXY_PORT", config: "server.port", description: "Server port number" },
     { name: "ASN_PROXY_HOST", config: "server.host", description: "Server bind address" },
-    { name: "APACHE_UPSTREAM", config: "apache.upstream", description: "Apache backend URL" },
+    { name: "APACHE_UPSTREAM", config: "apache.upstream", description: "Apache backend URLs (comma-separated)" },
     { name: "MAXMIND_DB_PATH", config: "ip_resolution.maxmind_db", description: "MaxMind database path" },
+    {
+      name: "MAXMIND_COUNTRY_DB_PATH",
+      config: "ip_resolution.country_db",
+      description: "MaxMind GeoLite2-Country or City database path",
+    },
     { name: "FALLBACK_API_URL", config: "ip_resolution.fallback_api", description: "Fallback IP API URL" },
     { name: "CAPTCHA_DIFFICULTY", config: "captcha.difficulty", description: "CAPTCHA difficulty (easy/medium/hard)" },
     { name: "CAPTCHA_EXPIRY", config: "captcha.expiry", description: "CAPTCHA expiry in seconds" },
     { name: "LOG_LEVEL", config: "logging.level", description: "Log level (debug/info/warn/error)" },
     { name: "ASN_CACHE_TTL", config: "asn.cache_ttl", description: "ASN cache TTL in seconds" },
     { name: "IP_CACHE_TTL", config: "ip_resolution.cache_ttl", description: "IP resolution cache TTL" },
+    { name: "ADMIN_AUTH_TOKEN", config: "admin.auth_token", description: "Admin API bearer token" },
+    {
+      name: "CAPTCHA_COOKIE_SECRETS",
+      config: "captcha.cookie.secrets",
+      description: "Verification cookie signing secrets (comma-separated)",
+    },
+    {
+      name: "CAPTCHA_REDIRECT_HOSTS",
+      config: "captcha.redirect.allowed_hosts",
+      description: "Hosts the CAPTCHA page may redirect to (comma-separated)",
+    },
+    { name: "STORE_TYPE", config: "store.type", description: "State store backend (memory/redis)" },
+    { name: "REDIS_URL", config: "store.redis.url", description: "Redis connection URL" },
+    { name: "DEFAULT_LOCALE", config: "i18n.default_locale", description: "Default language for challenge pages" },
+    {
+      name: "TRUSTED_PROXIES",
+      config: "security.trusted_proxies",
+      description: "Proxy IPs/CIDRs allowed to set forwarding headers (comma-separated)",
+    },
+    {
+      name: "CLIENT_IP_HEADER",
+      config: "security.client_ip_header",
+      description: "Single client IP header set by a CDN",
+    },
+    {
+      name: "BYPASS_IP_CATEGORIES",
+      config: "security.bypass_ip_categories",
+      description: "Special-purpose address categories that skip the ASN check (comma-separated)",
+    },
+    { name: "ALLOWED_COUNTRIES", config: "countries.allow", description: "Country codes always let through" },
+    { name: "BLOCKED_COUNTRIES", config: "countries.block", description: "Country codes that are blocked" },
+    { name: "CHALLENGED_COUNTRIES", config: "countries.challenge", description: "Country codes sent to the CAPTCHA" },
+    {
+      name: "PROTECT_HTML_ONLY",
+      config: "protection.html_only",
+      description: "Only challenge HTML page loads, letting sub-resources through for seen sessions",
+    },
+    { name: "PROXY_PROTOCOL", config: "server.proxy_protocol.enabled", description: "Expect PROXY protocol headers" },
+    {
+      name: "PROXY_PROTOCOL_TRUSTED_SENDERS",
+      config: "server.proxy_protocol.trusted_senders",
+      description: "Load balancer IPs/CIDRs allowed to send PROXY protocol (comma-separated)",
+    },
   ]
 
   envVars.forEach((env) => {
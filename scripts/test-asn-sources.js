@@ -17,6 +17,11 @@ async function testASNSources() {
       format: "txt",
       parser: "nullified",
     },
+    {
+      name: "FireHOL Level 1",
+      url: "https://raw.githubusercontent.com/firehol/blocklist-ipsets/master/firehol_level1.netset",
+      format: "netset",
+    },
   ]
 
   for (const source of sources) {
@@ -45,6 +50,11 @@ async function testASNSources() {
         }
       } else if (source.format === "txt") {
         asns = ASNListParser.parseNullifiedCode(response.data)
+      } else if (source.format === "netset") {
+        const ranges = ASNListParser.parseNetset(response.data)
+        console.log(`Parsed ranges: ${ranges.length}`)
+        console.log(`Sample ranges: ${ranges.slice(0, 10).join(", ")}`)
+        continue
       }
 
       console.log(`Parsed ASNs: ${asns.length}`)
@@ -33,13 +33,13 @@ async function testCaptcha() {
       captchaManager.difficulty = difficulty
 
       // Generate challenge
-      const challenge = captchaManager.generateChallenge()
+      const challenge = await captchaManager.generateChallenge()
       console.log(`Challenge ID: ${challenge.id}`)
       console.log(`Question: ${challenge.question}`)
       console.log(`Type: ${challenge.type}`)
 
       // Test correct answer (we need to peek at the stored challenge)
-      const storedChallenge = captchaManager.challengeCache.get(challenge.id)
+      const storedChallenge = await captchaManager.challengeCache.get(challenge.id)
       if (storedChallenge) {
         console.log(`Correct Answer: ${storedChallenge.answer}`)
 
@@ -55,25 +55,25 @@ async function testCaptcha() {
     console.log("--- Testing IP Verification ---")
     const testIP = "192.168.1.100"
 
-    console.log(`Is IP verified initially: ${captchaManager.isIPVerified(testIP)}`)
-    captchaManager.markIPAsVerified(testIP)
-    console.log(`Is IP verified after marking: ${captchaManager.isIPVerified(testIP)}`)
+    console.log(`Is IP verified initially: ${await captchaManager.isIPVerified(testIP)}`)
+    await captchaManager.markIPAsVerified(testIP)
+    console.log(`Is IP verified after marking: ${await captchaManager.isIPVerified(testIP)}`)
 
     // Test stats
     console.log("\n--- CAPTCHA Stats ---")
-    const stats = captchaManager.getStats()
+    const stats = await captchaManager.getStats()
     console.log(`Active Challenges: ${stats.activeChallenges}`)
     console.log(`Verified IPs: ${stats.verifiedIPs}`)
     console.log(`Difficulty: ${stats.difficulty}`)
 
     // Test HTML generation
     console.log("\n--- Testing HTML Generation ---")
-    const htmlChallenge = captchaManager.generateChallenge()
-    const html = captchaManager.renderChallengePage(htmlChallenge, "/test")
+    const htmlChallenge = await captchaManager.generateChallenge()
+    const html = captchaManager.renderChallengePage(htmlChallenge, { redirect: "/test" })
     console.log(`Generated HTML length: ${html.length} characters`)
     console.log("HTML generation: ✓ PASS")
 
-    captchaManager.destroy()
+    await captchaManager.destroy()
     console.log("\n=== All tests completed successfully ===")
   } catch (error) {
     console.error("Test failed:", error.message)
@@ -52,14 +52,14 @@ async function testIPResolution() {
     }
 
     // Show stats
-    const stats = ipResolver.getStats()
+    const stats = await ipResolver.getStats()
     console.log("=== Resolver Stats ===")
     console.log(`MaxMind Available: ${stats.maxmindAvailable}`)
     console.log(`Fallback API Configured: ${stats.fallbackAPIConfigured}`)
     console.log(`Cache Hits: ${stats.cacheStats.hits}`)
     console.log(`Cache Misses: ${stats.cacheStats.misses}`)
 
-    ipResolver.destroy()
+    await ipResolver.destroy()
   } catch (error) {
     console.error("Test failed:", error.message)
     process.exit(1)
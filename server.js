@@ -1,16 +1,43 @@
 const express = require("express")
+const http = require("http")
 const { createProxyMiddleware } = require("http-proxy-middleware")
 const helmet = require("helmet")
 const cors = require("cors")
 const rateLimit = require("express-rate-limit")
 const winston = require("winston")
 const path = require("path")
+const crypto = require("crypto")
 
 const ConfigManager = require("./src/config/ConfigManager")
 const ASNManager = require("./src/asn/ASNManager")
 const CaptchaManager = require("./src/captcha/CaptchaManager")
+const Localizer = require("./src/i18n/Localizer")
 const IPResolver = require("./src/ip/IPResolver")
-const { getClientIP, isPrivateIP } = require("./src/utils/ipUtils")
+const StatsCollector = require("./src/stats/StatsCollector")
+const StatsStream = require("./src/stats/StatsStream")
+const ProxyProtocolListener = require("./src/proxy/ProxyProtocolListener")
+const Metrics = require("./src/monitoring/Metrics")
+const StoreFactory = require("./src/store/StoreFactory")
+const RuleEngine = require("./src/rules/RuleEngine")
+const ProtectionScope = require("./src/rules/ProtectionScope")
+const SiteRegistry = require("./src/proxy/SiteRegistry")
+const UpstreamPool = require("./src/proxy/UpstreamPool")
+const {
+  DEFAULT_BYPASS_CATEGORIES,
+  DEFAULT_TRUSTED_PROXIES,
+  classifyIP,
+  getClientIP,
+  isSpecialPurposeIP,
+  normalizeIP,
+  parseCIDR,
+} = require("./src/utils/ipUtils")
+const { sendError } = require("./src/utils/responseUtils")
+const { normalizePath } = require("./src/utils/pathUtils")
+
+// When an ASN and a country list both match, the stricter action applies
+const ACTION_SEVERITY = { log: 0, captcha: 1, block: 2 }
+// Requests that are safe to send to another backend after a failed connection
+const RETRY_METHODS = ["GET", "HEAD", "OPTIONS", "TRACE", "PUT", "DELETE"]
 
 class ASNProxyServer {
   constructor() {
@@ -19,6 +46,19 @@ class ASNProxyServer {
     this.asnManager = null
     this.captchaManager = null
     this.ipResolver = null
+    this.ruleEngine = null
+    this.protectionScope = null
+    this.sites = null
+    this.upstreams = null
+    this.proxyMiddleware = null
+    this.store = null
+    this.stats = new StatsCollector()
+    this.statsStream = null
+    this.metrics = null
+    this.localizer = null
+    this.metricsServer = null
+    this.httpServer = null
+    this.proxyProtocol = null
     this.logger = null
 
     this.setupLogger()
@@ -48,11 +88,51 @@ class ASNProxyServer {
       // Load configuration
       this.config = new ConfigManager()
       await this.config.load()
+      // A bad edit on hot reload is reported and the previous configuration stays in effect
+      this.config.on("error", (error) => this.logger.error(`Configuration reload failed: ${error.message}`))
+
+      // Prometheus metrics are opt-in
+      if (
+        this.config.get("monitoring.metrics.enabled", false) ||
+        this.config.get("monitoring.prometheus.enabled", false)
+      ) {
+        this.metrics = new Metrics(this.config, this.logger)
+      }
+
+      // Shared state store for challenges, verifications and caches
+      this.store = StoreFactory.create(this.config, this.logger)
+      await this.store.connect()
+
+      this.clientIPOptions = this.loadClientIPOptions()
+      this.bypassCategories = this.loadBypassCategories()
 
       // Initialize managers
-      this.asnManager = new ASNManager(this.config, this.logger)
-      this.captchaManager = new CaptchaManager(this.config, this.logger)
-      this.ipResolver = new IPResolver(this.config, this.logger)
+      const managerOptions = { metrics: this.metrics, store: this.store }
+      this.asnManager = new ASNManager(this.config, this.logger, managerOptions)
+      this.localizer = new Localizer(this.config, this.logger)
+      this.captchaManager = new CaptchaManager(this.config, this.logger, {
+        ...managerOptions,
+        localizer: this.localizer,
+      })
+      this.ipResolver = new IPResolver(this.config, this.logger, managerOptions)
+      this.ruleEngine = new RuleEngine(this.config, this.logger)
+      this.protectionScope = new ProtectionScope(this.config, this.logger)
+      this.upstreams = new UpstreamPool(this.config, this.logger)
+      this.sites = new SiteRegistry(this.config, this.logger, {
+        ...managerOptions,
+        upstreams: this.upstreams,
+        asnManager: this.asnManager,
+        captchaManager: this.captchaManager,
+      })
+
+      if (this.metrics) {
+        this.metrics.registerCache("asn", this.asnManager.cache)
+        this.metrics.registerCache("ip_resolution", this.ipResolver.cache)
+        this.metrics.registerCache("captcha_challenges", this.captchaManager.challengeCache)
+        this.metrics.registerCache("verified_ips", this.captchaManager.verifiedIPs)
+        this.metrics.registerCache("captcha_failures", this.captchaManager.failedAttempts)
+        this.metrics.registerCache("captcha_lockouts", this.captchaManager.lockouts)
+      }
 
       // Setup middleware
       this.setupMiddleware()
@@ -62,6 +142,8 @@ class ASNProxyServer {
 
       // Initialize ASN lists
       await this.asnManager.initialize()
+      await this.upstreams.initialize()
+      await this.sites.initialize()
       await this.ipResolver.initialize()
 
       this.logger.info("ASN Proxy Server initialized successfully")
@@ -71,6 +153,39 @@ class ASNProxyServer {
     }
   }
 
+  loadClientIPOptions() {
+    let entries = this.config.get("security.trusted_proxies", DEFAULT_TRUSTED_PROXIES)
+    if (typeof entries === "string") {
+      entries = entries.split(",")
+    }
+
+    const trustedProxies = []
+    for (const entry of entries) {
+      const range = parseCIDR(entry)
+      if (range) {
+        trustedProxies.push(range)
+      } else {
+        this.logger.warn(`Ignoring invalid security.trusted_proxies entry: ${entry}`)
+      }
+    }
+
+    const clientIPHeader = this.config.get("security.client_ip_header")
+    return {
+      trustedProxies,
+      forwardedHeader: this.config.get("security.forwarded_header", "x-forwarded-for"),
+      clientIPHeader: clientIPHeader ? clientIPHeader.toLowerCase() : null,
+    }
+  }
+
+  loadBypassCategories() {
+    const categories = this.config.get("security.bypass_ip_categories", DEFAULT_BYPASS_CATEGORIES)
+    return typeof categories === "string" ? categories.split(",").map((category) => category.trim()) : categories
+  }
+
+  getClientIP(req) {
+    return getClientIP(req, this.clientIPOptions)
+  }
+
   setupMiddleware() {
     // Security middleware
     this.app.use(helmet())
@@ -81,6 +196,7 @@ class ASNProxyServer {
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 100, // limit each IP to 100 requests per windowMs
       message: "Too many requests from this IP",
+      keyGenerator: (req) => this.getClientIP(req),
     })
     this.app.use(limiter)
 
@@ -90,7 +206,7 @@ class ASNProxyServer {
 
     // Request logging
     this.app.use((req, res, next) => {
-      const clientIP = getClientIP(req)
+      const clientIP = this.getClientIP(req)
       this.logger.info(`${req.method} ${req.url} from ${clientIP}`)
       next()
     })
@@ -107,29 +223,151 @@ class ASNProxyServer {
     })
 
     // CAPTCHA challenge page
-    this.app.get("/captcha", (req, res) => {
-      const challenge = this.captchaManager.generateChallenge()
-      res.send(this.captchaManager.renderChallengePage(challenge, req.query.redirect))
+    this.app.get("/captcha", async (req, res) => {
+      const clientIP = this.getClientIP(req)
+
+      try {
+        const asnInfo = await this.resolveRequestASN(clientIP)
+
+        // A challenge rule matching the page being returned to overrides the site's difficulty
+        const redirect = this.captchaManager.sanitizeRedirect(req.query.redirect, clientIP)
+        const resolveRequest = async () => ({
+          asnInfo,
+          country: asnInfo ? asnInfo.country : this.ipResolver.lookupCountry(clientIP),
+        })
+        const rule = await this.ruleEngine.evaluate(this.buildRuleRequest(req, clientIP, resolveRequest, redirect), {
+          record: false,
+        })
+
+        if (
+          (await this.rejectBlocked(req, res, clientIP, rule, resolveRequest)) ||
+          (await this.rejectLockedOut(res, clientIP, asnInfo?.asn))
+        ) {
+          return
+        }
+
+        // Per-range and per-ASN challenge types from the custom list override the configured rotation,
+        // but a visitor asking for the audio alternative always gets it
+        const site = this.getSite(req)
+        let type =
+          site.asnManager.matchIPRange(clientIP)?.challengeType ||
+          (asnInfo ? site.asnManager.getChallengeType(asnInfo.asn) : null)
+        if (req.query.mode === "audio") {
+          type = "audio"
+        }
+
+        const challenge = await this.captchaManager.generateChallenge({
+          type,
+          difficulty: (rule?.action === "challenge" && rule.difficulty) || site.difficulty,
+          interactive: req.query.mode === "interactive",
+          failures: await this.captchaManager.getFailureCount(clientIP),
+        })
+        const locale = this.localizer.resolveLocale(req)
+        res.set({ "Content-Language": locale, Vary: "Accept-Language" })
+        res.send(
+          this.captchaManager.renderChallengePage(challenge, {
+            redirect,
+            error: req.query.error,
+            locale,
+            branding: site.branding,
+          }),
+        )
+      } catch (error) {
+        this.logger.error("CAPTCHA generation error:", error)
+        res.status(500).send("Verification error")
+      }
+    })
+
+    // Browser solver for proof-of-work challenges, served as a file because the CSP blocks inline scripts
+    this.app.get("/captcha/pow.js", (req, res) => {
+      res.set("Cache-Control", "public, max-age=3600")
+      res.sendFile(path.join(__dirname, "src/captcha/client/pow-solver.js"))
+    })
+
+    // CAPTCHA image for image challenges
+    this.app.get("/captcha/image/:challengeId", async (req, res) => {
+      try {
+        const image = await this.captchaManager.getChallengeImage(req.params.challengeId)
+
+        if (!image) {
+          return sendError(res, 404, "NOT_FOUND", "Challenge not found or expired")
+        }
+
+        res.set({
+          "Content-Type": "image/png",
+          "Cache-Control": "no-store",
+        })
+        res.send(image)
+      } catch (error) {
+        this.logger.error("CAPTCHA image error:", error)
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to load CAPTCHA image")
+      }
+    })
+
+    // Spoken digits for audio challenges
+    this.app.get("/captcha/audio/:challengeId", async (req, res) => {
+      try {
+        const audio = await this.captchaManager.getChallengeAudio(req.params.challengeId)
+
+        if (!audio) {
+          return sendError(res, 404, "NOT_FOUND", "Challenge not found or expired")
+        }
+
+        res.set({
+          "Content-Type": "audio/wav",
+          "Content-Length": audio.length,
+          "Cache-Control": "no-store",
+        })
+        res.send(audio)
+      } catch (error) {
+        this.logger.error("CAPTCHA audio error:", error)
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to load CAPTCHA audio")
+      }
     })
 
     // CAPTCHA verification endpoint
     this.app.post("/captcha/verify", async (req, res) => {
-      const { challenge, response, redirect } = req.body
-      const clientIP = getClientIP(req)
+      const { challenge, response, lang, mode } = req.body
+      const clientIP = this.getClientIP(req)
+      const redirect = this.captchaManager.sanitizeRedirect(req.body.redirect, clientIP)
 
       try {
+        const asnInfo = await this.resolveRequestASN(clientIP)
+        const resolveRequest = async () => ({
+          asnInfo,
+          country: asnInfo ? asnInfo.country : this.ipResolver.lookupCountry(clientIP),
+        })
+        const rule = await this.ruleEngine.evaluate(this.buildRuleRequest(req, clientIP, resolveRequest, redirect), {
+          record: false,
+        })
+
+        if (
+          (await this.rejectBlocked(req, res, clientIP, rule, resolveRequest)) ||
+          (await this.rejectLockedOut(res, clientIP, asnInfo?.asn))
+        ) {
+          return
+        }
+
         const isValid = await this.captchaManager.verifyChallenge(challenge, response)
 
         if (isValid) {
-          // Store successful verification in session/cache
-          this.captchaManager.markIPAsVerified(clientIP)
+          this.stats.increment("captcha_solved")
+          await this.captchaManager.clearFailures(clientIP)
+
+          // Store successful verification in a signed cookie and/or the IP cache
+          await this.captchaManager.markRequestVerified(req, res, await this.getVerificationBinding(req, clientIP))
           this.logger.info(`CAPTCHA verified successfully for IP: ${clientIP}`)
 
           // Redirect to original destination
-          res.redirect(redirect || "/")
+          res.redirect(redirect)
         } else {
-          this.logger.warn(`CAPTCHA verification failed for IP: ${clientIP}`)
-          res.redirect("/captcha?error=invalid&redirect=" + encodeURIComponent(redirect || "/"))
+          this.stats.increment("captcha_failed")
+          const failures = await this.captchaManager.recordFailure(clientIP, asnInfo?.asn)
+          this.logger.warn(`CAPTCHA verification failed for IP: ${clientIP} (${failures} recent failures)`)
+          // Keep the visitor's language and audio choice when showing the next challenge
+          const langParam = this.localizer.hasLocale(lang) ? `&lang=${encodeURIComponent(lang)}` : ""
+          const modeParam = mode === "audio" ? "&mode=audio" : ""
+          res.redirect(`/captcha?error=invalid${langParam}${modeParam}&redirect=` + encodeURIComponent(redirect))
         }
       } catch (error) {
         this.logger.error("CAPTCHA verification error:", error)
@@ -137,75 +375,685 @@ class ASNProxyServer {
       }
     })
 
+    // Management API
+    this.setupAdminRoutes()
+
+    // Aggregated statistics
+    this.app.get("/stats", this.requireAdmin(), async (req, res) => {
+      try {
+        const proxyStats = this.stats.getStats()
+
+        res.json({
+          requests: proxyStats.requests,
+          asn_stats: {
+            unique_asns_seen: proxyStats.uniqueASNsSeen,
+            top_blocked_asns: proxyStats.topDeniedASNs,
+            ...(await this.asnManager.getStats()),
+          },
+          captcha: await this.captchaManager.getStats(),
+          ip_resolution: await this.ipResolver.getStats(),
+          access_rules: this.ruleEngine.getStats(),
+          sites: await this.sites.getStats(),
+          store: this.store.type,
+          ...(this.proxyProtocol && { proxy_protocol: this.proxyProtocol.stats }),
+          uptime: proxyStats.uptime,
+          started_at: proxyStats.startedAt,
+          last_updated: new Date().toISOString(),
+        })
+      } catch (error) {
+        this.logger.error("Failed to collect stats:", error)
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to collect statistics", error.message)
+      }
+    })
+
+    // Prometheus exposition on the main port unless a dedicated port is configured; the proxy port is public,
+    // so scrapers authenticate with the admin token there
+    if (this.metrics && !this.getMetricsPort()) {
+      this.app.get(this.config.get("monitoring.metrics.path", "/metrics"), this.requireAdmin(), (req, res) =>
+        this.sendMetrics(res),
+      )
+    }
+
+    // IP resolution lookup
+    this.app.get("/resolve/:ip", this.requireAdmin(), async (req, res) => {
+      const ip = normalizeIP(req.params.ip)
+
+      if (!ip) {
+        return sendError(
+          res,
+          400,
+          "INVALID_REQUEST",
+          "The request parameters are invalid",
+          "IP address format is not valid",
+        )
+      }
+
+      try {
+        const asnInfo = await this.ipResolver.resolveIP(ip)
+
+        if (!asnInfo) {
+          const details = isSpecialPurposeIP(ip)
+            ? `Special-purpose (${classifyIP(ip)}) addresses are not resolved`
+            : "No ASN information available"
+          return sendError(res, 404, "NOT_FOUND", "IP not found in database", details)
+        }
+
+        res.json({
+          ip,
+          asn: asnInfo.asn,
+          organization: asnInfo.org,
+          country: asnInfo.country || null,
+          is_blocked: await this.asnManager.isASNBlocked(asnInfo.asn),
+          ip_range: this.asnManager.matchIPRange(ip),
+          is_verified: await this.captchaManager.isIPVerified(ip),
+          source: asnInfo.source,
+          cached: asnInfo.cached,
+          resolved_at: asnInfo.resolvedAt,
+        })
+      } catch (error) {
+        this.logger.error(`Resolution lookup failed for ${ip}:`, error)
+        sendError(res, 500, "INTERNAL_ERROR", "Resolution service unavailable", error.message)
+      }
+    })
+
     // Main proxy middleware - handles all other requests
     this.app.use("*", async (req, res, next) => {
-      const clientIP = getClientIP(req)
+      const clientIP = this.getClientIP(req)
+      this.stats.increment("total")
 
       try {
-        // Skip ASN check for private IPs
-        if (isPrivateIP(clientIP)) {
+        // Paths and methods outside the protected scope pass straight through, without any lookups
+        const exemption = this.protectionScope.getExemption(req)
+        if (exemption) {
+          this.recordDecision("exempt", "allow", "exempt")
+          this.logger.debug(`Exempt (${exemption}): ${req.method} ${req.originalUrl} for IP: ${clientIP}`)
           return next()
         }
 
-        // Check if IP is already verified
-        if (this.captchaManager.isIPVerified(clientIP)) {
-          return next()
-        }
+        // With html_only, a page load that is let through marks the browser session as seen
+        const pass =
+          this.protectionScope.htmlOnly && ProtectionScope.isNavigation(req)
+            ? () => {
+                req.sessionCookie = this.captchaManager.issueSessionCookie(req, {
+                  ip: clientIP,
+                  host: this.getRequestHost(req),
+                })
+                next()
+              }
+            : next
 
-        // Resolve IP to ASN
-        const asnInfo = await this.ipResolver.resolveIP(clientIP)
+        // Skip the ASN check for the configured special-purpose ranges (loopback, RFC 1918, CGNAT...)
+        const category = classifyIP(clientIP)
+        if (category && this.bypassCategories.includes(category)) {
+          this.recordDecision("private_bypass", "allow", "private")
+          this.logger.debug(`Bypassed ${category} address: ${clientIP}`)
+          return pass()
+        }
 
-        if (!asnInfo) {
-          this.logger.warn(`Could not resolve ASN for IP: ${clientIP}`)
-          return next() // Allow through if we can't resolve ASN
+        // The ASN and country are resolved at most once, and only when a rule or list needs them
+        let resolution = null
+        const resolveRequest = () => {
+          resolution = resolution || this.resolveRequestASNAndCountry(clientIP)
+          return resolution
         }
 
-        // Check if ASN is blocked
-        const isBlocked = await this.asnManager.isASNBlocked(asnInfo.asn)
+        // Access rules come first, then the IP range, country and ASN lists of the site the request is for
+        const rule = await this.ruleEngine.evaluate(this.buildRuleRequest(req, clientIP, resolveRequest))
+        if (rule) {
+          return this.applyRuleAction(req, res, pass, rule, clientIP)
+        }
 
-        if (isBlocked) {
-          this.logger.info(`Blocked ASN ${asnInfo.asn} (${asnInfo.org}) for IP: ${clientIP}`)
+        const decision = await this.evaluateLists(this.getSite(req), clientIP, resolveRequest)
+        if (decision.action === "allow") {
+          this.recordDecision("allowed", "allow", decision.bucket)
+          this.logger.info(`Allowed ${decision.subject} for IP: ${clientIP}`)
+          return pass()
+        }
 
-          // Redirect to CAPTCHA challenge
-          const redirectUrl = encodeURIComponent(req.originalUrl)
-          return res.redirect(`/captcha?redirect=${redirectUrl}`)
+        if (decision.action === "default") {
+          if (decision.bucket === "unresolved") {
+            this.logger.warn(`Could not resolve ASN for IP: ${clientIP}`)
+          }
+          // Allowed through unless access_rules.default_action says otherwise
+          return this.applyDefaultAction(req, res, pass, { ...decision, clientIP })
         }
 
-        this.logger.info(`Allowed ASN ${asnInfo.asn} (${asnInfo.org}) for IP: ${clientIP}`)
-        next()
+        return this.applyListAction(req, res, pass, decision.action, { ...decision, clientIP })
       } catch (error) {
+        this.stats.increment("errors")
         this.logger.error(`Error processing request for IP ${clientIP}:`, error)
         // On error, allow the request through to avoid blocking legitimate traffic
         next()
       }
     })
 
-    // Proxy to Apache backend
+    // Proxy to Apache backend, leaving the stats stream to our own upgrade handler
+    const statsStreamPath = this.config.get("monitoring.websocket.path", "/ws/stats")
+    const proxyFilter = (pathname) => pathname.split("?")[0] !== statsStreamPath
     const proxyOptions = {
-      target: this.config.get("apache.upstream"),
+      // Each request goes to a backend from its site's upstream pool
+      router: (req) => this.routeRequest(req),
       changeOrigin: true,
       ws: true, // Enable WebSocket proxying
       onError: (err, req, res) => {
+        const { pool, backend, release } = req.upstream
+        release()
+        pool.recordFailure(backend, err)
+
+        if (this.canRetry(req, res)) {
+          this.logger.warn(
+            `Upstream ${backend.url} failed (${err.code || err.message}), retrying ${req.method} ${req.url}`,
+          )
+          return this.proxyMiddleware(req, res, () => res.status(502).send("Bad Gateway"))
+        }
+
         this.logger.error("Proxy error:", err)
         res.status(502).send("Bad Gateway")
       },
       onProxyReq: (proxyReq, req, res) => {
         // Add custom headers
-        proxyReq.setHeader("X-Forwarded-For", getClientIP(req))
+        proxyReq.setHeader("X-Forwarded-For", this.getClientIP(req))
         proxyReq.setHeader("X-ASN-Proxy", "true")
+        this.preserveHost(proxyReq, req)
+      },
+      onProxyReqWs: (proxyReq, req) => this.preserveHost(proxyReq, req),
+      onProxyRes: (proxyRes, req) => {
+        req.upstream.pool.recordSuccess(req.upstream.backend)
+
+        // Appended rather than set, so the upstream's own cookies survive
+        if (req.sessionCookie) {
+          proxyRes.headers["set-cookie"] = [...(proxyRes.headers["set-cookie"] || []), req.sessionCookie]
+        }
+      },
+    }
+
+    this.proxyMiddleware = createProxyMiddleware(proxyFilter, proxyOptions)
+    this.app.use("*", this.proxyMiddleware)
+  }
+
+  /**
+   * Pick a backend for a request from its site's pool, skipping the ones it was already tried on
+   */
+  routeRequest(req) {
+    const pool = this.getSite(req).upstreams
+    const tried = req.upstream?.tried || new Set()
+    const backend = pool.select(tried)
+    tried.add(backend)
+
+    // The connection counts against the backend until the response, or the WebSocket, closes
+    const release = pool.acquire(backend)
+    ;(req.res || req.socket).once("close", release)
+
+    req.upstream = { pool, backend, tried, release }
+    return backend.url
+  }
+
+  /**
+   * Send the client's Host header on to the backend, for sites with preserve_host that share a
+   * virtual-host backend, so the backend serves the site whose policy was applied
+   */
+  preserveHost(proxyReq, req) {
+    if (req.headers.host && this.getSite(req).config.get("apache.preserve_host", false)) {
+      proxyReq.setHeader("Host", req.headers.host)
+    }
+  }
+
+  canRetry(req, res) {
+    const { pool, tried } = req.upstream
+    // A request body has already been streamed to the failed backend and cannot be sent again
+    const hasBody = Number(req.headers["content-length"] || 0) > 0 || req.headers["transfer-encoding"] !== undefined
+
+    return (
+      typeof res.setHeader === "function" &&
+      !res.headersSent &&
+      RETRY_METHODS.includes(req.method) &&
+      !hasBody &&
+      tried.size <= pool.retries &&
+      tried.size < pool.backends.length
+    )
+  }
+
+  async resolveRequestASN(clientIP) {
+    try {
+      return await this.ipResolver.resolveIP(clientIP)
+    } catch (error) {
+      this.logger.debug(`Could not resolve ASN for ${clientIP}: ${error.message}`)
+      return null
+    }
+  }
+
+  // Resolve the ASN and the country, which the country database can answer even when the ASN is unknown
+  async resolveRequestASNAndCountry(clientIP) {
+    const asnInfo = await this.ipResolver.resolveIP(clientIP)
+    return { asnInfo, country: asnInfo ? asnInfo.country : this.ipResolver.lookupCountry(clientIP) }
+  }
+
+  /**
+   * Describe a request for the rule engine. A target URL (the page a CAPTCHA redirects back to)
+   * stands in for the request's own host and path.
+   */
+  buildRuleRequest(req, clientIP, resolveRequest, target = null) {
+    // Only the redirect target is parsed as a URL, so a request for "//admin/" keeps "//admin/" as its path
+    // The base is fixed, as an IPv6 Host would need its brackets back; only absolute targets name a host
+    const url = target ? new URL(target, "http://localhost") : null
+    const targetHost = url && /^https?:/i.test(target) ? url.hostname.replace(/^\[(.*)\]$/, "$1") : null
+
+    return {
+      ip: clientIP,
+      host: targetHost ?? this.getRequestHost(req),
+      path: normalizePath(url ? url.pathname : req.originalUrl.split("?")[0]),
+      method: target ? "GET" : req.method,
+      headers: req.headers,
+      resolve: async () => {
+        const { asnInfo, country } = await resolveRequest()
+        return { asn: asnInfo?.asn ?? null, country }
       },
     }
+  }
+
+  // What a solved CAPTCHA is tied to; the ASN comes from the resolution cache the checks already filled
+  async getVerificationBinding(req, clientIP) {
+    const asnInfo = await this.resolveRequestASN(clientIP)
+    return { ip: clientIP, host: this.getRequestHost(req), asn: asnInfo?.asn }
+  }
 
-    this.app.use("*", createProxyMiddleware(proxyOptions))
+  // The site for the request's Host header, looked up once per request
+  getSite(req) {
+    req.site = req.site || this.sites.match(this.getRequestHost(req))
+    return req.site
+  }
+
+  // Host header without the port, or "" if it is missing or malformed
+  getRequestHost(req) {
+    if (!req.headers.host) {
+      return ""
+    }
+    try {
+      return new URL(`http://${req.headers.host}`).hostname.replace(/^\[(.*)\]$/, "$1")
+    } catch {
+      return ""
+    }
+  }
+
+  /**
+   * Decide a request from a site's IP range, country and ASN lists, without acting on it.
+   * Returns { action, bucket, subject, counter }, where action is allow, log, captcha, block,
+   * or default for whatever the lists leave to access_rules.default_action.
+   */
+  async evaluateLists(site, clientIP, resolveRequest, { record = true } = {}) {
+    const { asnManager, config } = site
+
+    // CIDR lists are more specific than ASNs, so a matching range decides before any lookup
+    const range = asnManager.matchIPRange(clientIP)
+    if (range) {
+      return {
+        action: range.list === "allowed" ? "allow" : asnManager.getRangeAction(range, config),
+        bucket: range.list === "allowed" ? "range_allowlisted" : "range_blocklisted",
+        subject: `range ${range.cidr} (${range.source})`,
+      }
+    }
+
+    const { asnInfo, country } = await resolveRequest()
+    const countryMatch = asnManager.matchCountry(country)
+
+    if (!asnInfo && !countryMatch) {
+      return { action: "default", counter: "resolution_failures", bucket: "unresolved", subject: "unresolved address" }
+    }
+
+    if (countryMatch?.list === "allowed") {
+      return { action: "allow", bucket: "country_allowlisted", subject: `country ${country}` }
+    }
+
+    const isBlocked = asnInfo ? await asnManager.isASNBlocked(asnInfo.asn) : false
+    if (asnInfo && record) {
+      this.stats.recordASN(asnInfo.asn, isBlocked)
+    }
+
+    // An allowlisted ASN still wins over a blocked country
+    if (countryMatch && !(asnInfo && asnManager.classifyASN(asnInfo.asn) === "allowlisted")) {
+      const asnAction = isBlocked ? asnManager.getASNAction(asnInfo.asn, config) : null
+      if (!asnAction || ACTION_SEVERITY[countryMatch.action] > ACTION_SEVERITY[asnAction]) {
+        return { action: countryMatch.action, bucket: "country_blocklisted", subject: `country ${country}` }
+      }
+    }
+
+    if (isBlocked) {
+      return {
+        action: asnManager.getASNAction(asnInfo.asn, config),
+        bucket: "blocklisted",
+        subject: `ASN ${asnInfo.asn} (${asnInfo.org})`,
+      }
+    }
+
+    return {
+      action: "default",
+      counter: "allowed",
+      bucket: asnManager.classifyASN(asnInfo.asn),
+      subject: `ASN ${asnInfo.asn} (${asnInfo.org})`,
+    }
+  }
+
+  /**
+   * Answer with the blocked page when a CAPTCHA request comes from a client that would be blocked,
+   * so solving a challenge can never get it past a block. A rule matching the page being returned to
+   * decides before the lists, as it does for the page itself.
+   */
+  async rejectBlocked(req, res, clientIP, rule, resolveRequest) {
+    const decision = rule
+      ? { action: rule.action, bucket: "rule", subject: `rule "${rule.name}"` }
+      : await this.evaluateLists(this.getSite(req), clientIP, resolveRequest, { record: false })
+    const action = decision.action === "default" ? this.ruleEngine.defaultAction : decision.action
+    if (action !== "block") {
+      return false
+    }
+
+    this.logger.info(`Refused CAPTCHA to blocked ${decision.subject} for IP: ${clientIP}`)
+    this.sendBlockedPage(req, res)
+    return true
+  }
+
+  applyRuleAction(req, res, next, rule, clientIP) {
+    if (rule.action === "allow") {
+      this.recordDecision("allowed", "allow", "rule")
+      this.logger.info(`Allowed by rule "${rule.name}" for IP: ${clientIP}`)
+      return next()
+    }
+
+    if (rule.action === "log") {
+      this.recordDecision("logged", "log", "rule")
+      this.logger.info(`Log only: rule "${rule.name}" matched for IP: ${clientIP}, allowing`)
+      return next()
+    }
+
+    return this.applyListAction(req, res, next, rule.action === "challenge" ? "captcha" : rule.action, {
+      bucket: "rule",
+      subject: `rule "${rule.name}"`,
+      clientIP,
+    })
+  }
+
+  /**
+   * Apply access_rules.default_action to a request no rule or list decided
+   */
+  applyDefaultAction(req, res, next, { counter, bucket, subject, clientIP }) {
+    const action = this.ruleEngine.defaultAction
+    if (action === "allow") {
+      this.recordDecision(counter, "allow", bucket)
+      this.logger.info(`Allowed ${subject} for IP: ${clientIP}`)
+      return next()
+    }
+
+    return this.applyListAction(req, res, next, action === "challenge" ? "captcha" : action, {
+      bucket,
+      subject: `${subject} (default action)`,
+      clientIP,
+    })
+  }
+
+  async rejectLockedOut(res, clientIP, asn) {
+    const lockout = await this.captchaManager.getLockout(clientIP, asn)
+    if (!lockout) {
+      return false
+    }
+
+    res.set("Retry-After", String(lockout.retryAfter))
+    sendError(res, 429, "TOO_MANY_ATTEMPTS", "Too many attempts", {
+      scope: lockout.scope,
+      retry_after: lockout.retryAfter,
+    })
+    return true
+  }
+
+  /**
+   * Block, log or challenge a request that matched a blocklist
+   */
+  async applyListAction(req, res, next, action, { bucket, subject, clientIP }) {
+    if (action === "block") {
+      this.recordDecision("blocked", "block", bucket)
+      this.logger.info(`Blocked ${subject} for IP: ${clientIP}`)
+      return this.sendBlockedPage(req, res)
+    }
+
+    if (action === "log") {
+      // Log-only mode: record the match but let the request through
+      this.recordDecision("logged", "log", bucket)
+      this.logger.info(`Log only: ${subject} is blocklisted for IP: ${clientIP}, allowing`)
+      return next()
+    }
+
+    // A solved CAPTCHA answers challenges only; blocks above never reach this point
+    if (await this.captchaManager.isRequestVerified(req, await this.getVerificationBinding(req, clientIP))) {
+      this.recordDecision("verified_bypass", "allow", "verified")
+      return next()
+    }
+
+    // With html_only, sub-resources and API calls from a browser whose page load passed skip list challenges,
+    // which they could not answer anyway; challenge rules still apply to them
+    if (
+      bucket !== "rule" &&
+      this.protectionScope.htmlOnly &&
+      !ProtectionScope.isNavigation(req) &&
+      this.captchaManager.isSessionSeen(req, { ip: clientIP, host: this.getRequestHost(req) })
+    ) {
+      this.recordDecision("session_bypass", "allow", "session")
+      return next()
+    }
+
+    this.recordDecision("challenged", "challenge", bucket)
+    this.logger.info(`Challenged ${subject} for IP: ${clientIP}`)
+
+    // Redirect to CAPTCHA challenge
+    const redirectUrl = encodeURIComponent(req.originalUrl)
+    return res.redirect(`/captcha?redirect=${redirectUrl}`)
+  }
+
+  sendBlockedPage(req, res) {
+    const locale = this.localizer.resolveLocale(req)
+    res.set({ "Content-Language": locale, Vary: "Accept-Language" })
+    return res.status(403).send(this.captchaManager.renderBlockedPage({ locale, branding: this.getSite(req).branding }))
+  }
+
+  recordDecision(counter, action, asnBucket) {
+    this.stats.increment(counter)
+    this.metrics?.recordDecision(action, asnBucket)
+  }
+
+  getMetricsPort() {
+    return this.config.get("monitoring.prometheus.enabled", false)
+      ? this.config.get("monitoring.prometheus.port")
+      : null
+  }
+
+  async sendMetrics(res) {
+    try {
+      res.setHeader("Content-Type", this.metrics.contentType)
+      res.end(await this.metrics.render())
+    } catch (error) {
+      this.logger.error("Failed to render metrics:", error)
+      res.statusCode = 500
+      res.end()
+    }
+  }
+
+  getBearerToken(req) {
+    const header = req.headers.authorization || ""
+    const match = header.match(/^Bearer\s+(.+)$/i)
+    return match ? match[1].trim() : null
+  }
+
+  checkAdminToken(token) {
+    if (!this.config.get("admin.enabled", false)) {
+      return 404
+    }
+
+    const expected = this.config.get("admin.auth_token")
+    if (!expected || !token) {
+      return 401
+    }
+
+    // Compare digests so the comparison is constant-time regardless of token length
+    const provided = crypto.createHash("sha256").update(token).digest()
+    const wanted = crypto.createHash("sha256").update(String(expected)).digest()
+
+    return crypto.timingSafeEqual(provided, wanted) ? 200 : 403
+  }
+
+  requireAdmin() {
+    return (req, res, next) => {
+      const status = this.checkAdminToken(this.getBearerToken(req))
+
+      if (status === 404) {
+        return sendError(res, 404, "NOT_FOUND", "Admin API is disabled")
+      }
+
+      if (status === 401) {
+        return sendError(res, 401, "UNAUTHORIZED", "Authentication required", "Missing bearer token")
+      }
+
+      if (status === 403) {
+        this.logger.warn(`Rejected admin request from ${this.getClientIP(req)}: invalid token`)
+        return sendError(res, 403, "FORBIDDEN", "Insufficient permissions", "Invalid admin token")
+      }
+
+      next()
+    }
+  }
+
+  setupAdminRoutes() {
+    const requireAdmin = this.requireAdmin()
+
+    // Manually refresh remote ASN lists
+    this.app.post("/admin/refresh-asn", requireAdmin, async (req, res) => {
+      try {
+        const before = new Set(this.asnManager.blockedASNs)
+        const result = await this.asnManager.loadRemoteASNLists()
+        const after = this.asnManager.blockedASNs
+
+        let newASNs = 0
+        for (const asn of after) {
+          if (!before.has(asn)) newASNs++
+        }
+
+        let removedASNs = 0
+        for (const asn of before) {
+          if (!after.has(asn)) removedASNs++
+        }
+
+        this.logger.info(`ASN lists refreshed via admin API by ${this.getClientIP(req)}`)
+
+        res.json({
+          success: true,
+          message: "ASN lists refreshed successfully",
+          sources_updated: result.sourcesUpdated,
+          sources_failed: result.sourcesFailed,
+          total_asns: after.size,
+          new_asns: newASNs,
+          removed_asns: removedASNs,
+        })
+      } catch (error) {
+        this.logger.error("Admin ASN refresh failed:", error)
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to refresh ASN lists", error.message)
+      }
+    })
+
+    // Current configuration with secrets masked
+    this.app.get("/admin/config", requireAdmin, (req, res) => {
+      res.json(this.config.getSummary({ maskSecrets: true }))
+    })
+
+    // Temporarily let an IP through without a CAPTCHA
+    this.app.post("/admin/whitelist-ip", requireAdmin, async (req, res) => {
+      const { duration, reason } = req.body || {}
+      const ip = normalizeIP(req.body?.ip)
+
+      if (!ip) {
+        return sendError(
+          res,
+          400,
+          "INVALID_REQUEST",
+          "The request parameters are invalid",
+          "IP address format is not valid",
+        )
+      }
+
+      if (duration !== undefined && (!Number.isInteger(duration) || duration <= 0)) {
+        return sendError(
+          res,
+          400,
+          "INVALID_REQUEST",
+          "The request parameters are invalid",
+          "duration must be a positive number of seconds",
+        )
+      }
+
+      const expiresAt = await this.captchaManager.markIPAsVerified(ip, {
+        ttl: duration,
+        reason: reason ? `admin: ${reason}` : "admin",
+      })
+
+      this.logger.info(
+        `Whitelisted IP ${ip} until ${expiresAt.toISOString()} via admin API: ${reason || "no reason given"}`,
+      )
+
+      res.json({
+        success: true,
+        message: "IP whitelisted successfully",
+        expires_at: expiresAt.toISOString(),
+      })
+    })
   }
 
   start() {
     const port = this.config.get("server.port", 3000)
     const host = this.config.get("server.host", "0.0.0.0")
 
-    this.app.listen(port, host, () => {
-      this.logger.info(`ASN Proxy Server running on ${host}:${port}`)
-      this.logger.info(`Proxying to: ${this.config.get("apache.upstream")}`)
+    this.httpServer = http.createServer(this.app)
+
+    if (this.config.get("monitoring.websocket.enabled", true)) {
+      this.statsStream = new StatsStream(this.config, this.logger, {
+        stats: this.stats,
+        captchaManager: this.captchaManager,
+        ipResolver: this.ipResolver,
+        authenticate: (req, url) => {
+          // Browsers cannot set headers on WebSocket connections, so also accept ?token=
+          const status = this.checkAdminToken(this.getBearerToken(req) || url.searchParams.get("token"))
+          return status === 200 ? true : status
+        },
+      })
+      this.statsStream.attach(this.httpServer)
+    }
+
+    const metricsPort = this.metrics ? this.getMetricsPort() : null
+    if (metricsPort) {
+      const metricsPath = this.config.get("monitoring.metrics.path", "/metrics")
+      this.metricsServer = http.createServer((req, res) => {
+        if (req.method === "GET" && req.url.split("?")[0] === metricsPath) {
+          return this.sendMetrics(res)
+        }
+        res.statusCode = 404
+        res.end()
+      })
+      // Unauthenticated, so it listens on loopback unless told otherwise
+      const metricsHost = this.config.get("monitoring.prometheus.host", "127.0.0.1")
+      this.metricsServer.listen(metricsPort, metricsHost, () => {
+        this.logger.info(`Prometheus metrics available on ${metricsHost}:${metricsPort}${metricsPath}`)
+      })
+    }
+
+    // Behind an L4 load balancer the PROXY protocol header carries the real client address
+    let listener = this.httpServer
+    if (this.config.get("server.proxy_protocol.enabled", false)) {
+      this.proxyProtocol = new ProxyProtocolListener(this.config, this.logger)
+      listener = this.proxyProtocol.createServer(this.httpServer)
+    }
+
+    listener.listen(port, host, () => {
+      this.logger.info(`ASN Proxy Server running on ${host}:${port}${this.proxyProtocol ? " (PROXY protocol)" : ""}`)
+      const describe = (pool) => pool.backends.map((backend) => backend.url).join(", ")
+      this.logger.info(`Proxying to: ${describe(this.upstreams)} (${this.upstreams.strategy})`)
+      for (const site of this.sites.sites) {
+        this.logger.info(`Proxying ${site.host} to: ${describe(site.upstreams)}`)
+      }
     })
   }
 }
@@ -1,3 +1,5 @@
+const { parseCIDR } = require("../utils/ipUtils")
+
 class ASNListParser {
   static parseRiskDB(data) {
     const asns = new Set()
@@ -107,6 +109,24 @@ class ASNListParser {
 
     return Array.from(asns)
   }
+
+  static parseNetset(textData) {
+    const ranges = new Set()
+
+    try {
+      for (const line of textData.split("\n")) {
+        // FireHOL netsets: one IP or CIDR per line, "#" comments, optionally followed by a comment
+        const entry = line.split(/[#;\s]/)[0].trim()
+        if (entry && parseCIDR(entry)) {
+          ranges.add(entry)
+        }
+      }
+    } catch (error) {
+      console.error("Error parsing netset format:", error)
+    }
+
+    return Array.from(ranges)
+  }
 }
 
 module.exports = ASNListParser
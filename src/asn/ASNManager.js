@@ -1,15 +1,31 @@
 const axios = require("axios")
 const fs = require("fs").promises
-const NodeCache = require("node-cache")
 const path = require("path")
+const PrefixTrie = require("../ip/PrefixTrie")
+const MemoryStore = require("../store/MemoryStore")
+const ASNListParser = require("./ASNListParser")
+
+const ASN_ACTIONS = ["captcha", "block", "log"]
+const CHALLENGE_TYPES = ["math", "image", "word", "sequence", "pow", "audio"]
 
 class ASNManager {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     this.config = config
     this.logger = logger
-    this.cache = new NodeCache({ stdTTL: config.get("asn.cache_ttl", 300) })
+    this.metrics = options.metrics || null
+    this.store = options.store || new MemoryStore()
+    this.cache = this.store.createCache(options.cacheName || "asn", { ttl: config.get("asn.cache_ttl", 300) })
+    // blockedASNs is rebuilt from the custom list and the per-source sets on every refresh
     this.blockedASNs = new Set()
+    this.customBlockedASNs = new Set()
+    this.sourceASNs = new Map()
     this.allowedASNs = new Set()
+    this.asnActions = new Map()
+    this.asnChallengeTypes = new Map()
+    this.customRanges = new PrefixTrie()
+    // One trie per netset source, so a failed refresh keeps that source's previous ranges
+    this.sourceRanges = new Map()
+    this.countries = this.loadCountryLists()
     this.lastUpdate = null
     this.updateInterval = null
   }
@@ -28,7 +44,7 @@ class ASNManager {
       this.setupPeriodicRefresh()
 
       this.logger.info(
-        `ASN Manager initialized with ${this.blockedASNs.size} blocked ASNs and ${this.allowedASNs.size} allowed ASNs`,
+        `ASN Manager initialized with ${this.blockedASNs.size} blocked ASNs, ${this.allowedASNs.size} allowed ASNs and ${this.countRanges()} IP ranges`,
       )
     } catch (error) {
       this.logger.error("Failed to initialize ASN Manager:", error)
@@ -50,7 +66,24 @@ class ASNManager {
       // Add blocked ASNs
       if (customList.blocked_asns && Array.isArray(customList.blocked_asns)) {
         for (const entry of customList.blocked_asns) {
-          this.blockedASNs.add(entry.asn)
+          this.customBlockedASNs.add(entry.asn)
+
+          if (entry.action) {
+            if (ASN_ACTIONS.includes(entry.action)) {
+              this.asnActions.set(entry.asn, entry.action)
+            } else {
+              this.logger.warn(`Ignoring unknown action "${entry.action}" for ASN ${entry.asn}`)
+            }
+          }
+
+          if (entry.challenge_type) {
+            if (CHALLENGE_TYPES.includes(entry.challenge_type)) {
+              this.asnChallengeTypes.set(entry.asn, entry.challenge_type)
+            } else {
+              this.logger.warn(`Ignoring unknown challenge type "${entry.challenge_type}" for ASN ${entry.asn}`)
+            }
+          }
+
           this.logger.debug(`Added blocked ASN ${entry.asn}: ${entry.org}`)
         }
       }
@@ -59,12 +92,15 @@ class ASNManager {
       if (customList.allowed_asns && Array.isArray(customList.allowed_asns)) {
         for (const entry of customList.allowed_asns) {
           this.allowedASNs.add(entry.asn)
-          // Remove from blocked list if present
-          this.blockedASNs.delete(entry.asn)
           this.logger.debug(`Added allowed ASN ${entry.asn}: ${entry.org}`)
         }
       }
 
+      // Allowed ranges are inserted last so they win over a blocked entry for the same range
+      this.loadCustomRanges(customList.blocked_ranges, "blocked")
+      this.loadCustomRanges(customList.allowed_ranges, "allowed")
+
+      this.rebuildBlockedASNs()
       this.logger.info(`Loaded custom ASN list from ${customListPath}`)
     } catch (error) {
       if (error.code === "ENOENT") {
@@ -75,20 +111,117 @@ class ASNManager {
     }
   }
 
+  loadCustomRanges(entries, list) {
+    if (!Array.isArray(entries)) {
+      return
+    }
+
+    for (const item of entries) {
+      // Entries are either a plain CIDR string or an object with a cidr and optional action/reason
+      const entry = typeof item === "string" ? { cidr: item } : item || {}
+      const range = { list, reason: entry.reason || null, source: "custom" }
+
+      if (list === "blocked" && entry.action) {
+        if (ASN_ACTIONS.includes(entry.action)) {
+          range.action = entry.action
+        } else {
+          this.logger.warn(`Ignoring unknown action "${entry.action}" for range ${entry.cidr}`)
+        }
+      }
+
+      if (list === "blocked" && entry.challenge_type) {
+        if (CHALLENGE_TYPES.includes(entry.challenge_type)) {
+          range.challengeType = entry.challenge_type
+        } else {
+          this.logger.warn(`Ignoring unknown challenge type "${entry.challenge_type}" for range ${entry.cidr}`)
+        }
+      }
+
+      if (!this.customRanges.insert(entry.cidr, range)) {
+        this.logger.warn(`Ignoring invalid ${list}_ranges entry: ${entry.cidr}`)
+        continue
+      }
+      this.logger.debug(`Added ${list} range ${entry.cidr}`)
+    }
+  }
+
+  loadCountryLists() {
+    const countries = new Map()
+    // Allowed countries are added last so they win over a country listed twice
+    const lists = [
+      ["countries.challenge", { list: "blocked", action: "captcha" }],
+      ["countries.block", { list: "blocked", action: "block" }],
+      ["countries.allow", { list: "allowed" }],
+    ]
+
+    for (const [key, match] of lists) {
+      let codes = this.config.get(key, [])
+      if (typeof codes === "string") {
+        codes = codes.split(",")
+      }
+
+      for (const code of codes) {
+        const country = String(code).trim().toUpperCase()
+        if (/^[A-Z]{2}$/.test(country)) {
+          countries.set(country, { ...match, country })
+        } else {
+          this.logger.warn(`Ignoring invalid ${key} entry: ${code}`)
+        }
+      }
+    }
+
+    return countries
+  }
+
   async loadRemoteASNLists() {
     const sources = this.config.get("asn.sources", [])
+    let sourcesUpdated = 0
+    let sourcesFailed = 0
 
     for (const source of sources) {
       try {
         this.logger.info(`Fetching ASN list from: ${source.url}`)
         await this.fetchAndProcessSource(source)
+        this.metrics?.recordListRefresh(source.url, true)
+        sourcesUpdated++
       } catch (error) {
         this.logger.error(`Failed to fetch ASN list from ${source.url}:`, error.message)
+        this.metrics?.recordListRefresh(source.url, false)
+        sourcesFailed++
         // Continue with other sources even if one fails
       }
     }
 
+    // Sources removed from the config no longer contribute
+    const configured = new Set(sources.map((source) => source.url))
+    for (const url of [...this.sourceASNs.keys(), ...this.sourceRanges.keys()]) {
+      if (!configured.has(url)) {
+        this.sourceASNs.delete(url)
+        this.sourceRanges.delete(url)
+      }
+    }
+    this.rebuildBlockedASNs()
+
+    // Cached decisions may no longer match the refreshed lists
+    await this.cache.flush()
     this.lastUpdate = new Date()
+
+    return { sourcesUpdated, sourcesFailed }
+  }
+
+  /**
+   * Swap in a new blocked set built from the custom list and the latest copy of each source,
+   * so ASNs dropped from a source are dropped here too and lookups never see a partial set
+   */
+  rebuildBlockedASNs() {
+    const blocked = new Set(this.customBlockedASNs)
+    for (const asns of this.sourceASNs.values()) {
+      for (const asn of asns) blocked.add(asn)
+    }
+    for (const asn of this.allowedASNs) {
+      blocked.delete(asn)
+    }
+    this.blockedASNs = blocked
   }
 
   async fetchAndProcessSource(source) {
@@ -104,23 +237,51 @@ class ASNManager {
     }
 
     const data = response.data
-    let asnCount = 0
+    const asns = new Set()
 
     switch (source.format.toLowerCase()) {
       case "json":
-        asnCount = await this.processJSONSource(data, source.url)
+        await this.processJSONSource(data, source.url, asns)
         break
       case "txt":
-        asnCount = await this.processTextSource(data, source.url)
+        await this.processTextSource(data, source.url, asns)
         break
+      case "netset": {
+        const rangeCount = this.processNetsetSource(data, source)
+        this.logger.info(`Processed ${rangeCount} IP ranges from ${source.url}`)
+        return
+      }
       default:
         throw new Error(`Unsupported format: ${source.format}`)
     }
 
-    this.logger.info(`Processed ${asnCount} ASNs from ${source.url}`)
+    // Like netsets, a source's set is replaced as a whole and only once it was fetched successfully
+    this.sourceASNs.set(source.url, asns)
+    this.logger.info(`Processed ${asns.size} ASNs from ${source.url}`)
   }
 
-  async processJSONSource(data, sourceUrl) {
+  processNetsetSource(data, source) {
+    if (typeof data !== "string") {
+      throw new Error("Expected a plain text netset")
+    }
+
+    const list = source.list === "allowed" ? "allowed" : "blocked"
+    const range = { list, reason: source.name || null, source: source.url }
+    if (list === "blocked" && ASN_ACTIONS.includes(source.action)) {
+      range.action = source.action
+    }
+
+    const trie = new PrefixTrie()
+    for (const cidr of ASNListParser.parseNetset(data)) {
+      trie.insert(cidr, range)
+    }
+
+    // Swap in the new trie only once it is complete, so lookups never see a partial list
+    this.sourceRanges.set(source.url, trie)
+    return trie.size
+  }
+
+  async processJSONSource(data, sourceUrl, asns) {
     let asnCount = 0
 
     try {
@@ -130,7 +291,7 @@ class ASNManager {
         if (data.asn && Array.isArray(data.asn)) {
           for (const entry of data.asn) {
             if (entry.asn) {
-              this.blockedASNs.add(Number.parseInt(entry.asn))
+              asns.add(Number.parseInt(entry.asn))
               asnCount++
             }
           }
@@ -138,7 +299,7 @@ class ASNManager {
           // Handle array of ASN objects
           for (const entry of data) {
             if (entry.asn) {
-              this.blockedASNs.add(Number.parseInt(entry.asn))
+              asns.add(Number.parseInt(entry.asn))
               asnCount++
             }
           }
@@ -148,10 +309,10 @@ class ASNManager {
         if (Array.isArray(data)) {
           for (const item of data) {
             if (typeof item === "number") {
-              this.blockedASNs.add(item)
+              asns.add(item)
               asnCount++
             } else if (typeof item === "object" && item.asn) {
-              this.blockedASNs.add(Number.parseInt(item.asn))
+              asns.add(Number.parseInt(item.asn))
               asnCount++
             }
           }
@@ -164,7 +325,7 @@ class ASNManager {
     return asnCount
   }
 
-  async processTextSource(data, sourceUrl) {
+  async processTextSource(data, sourceUrl, asns) {
     let asnCount = 0
 
     try {
@@ -184,7 +345,7 @@ class ASNManager {
         if (asnMatch) {
           const asn = Number.parseInt(asnMatch[1])
           if (!isNaN(asn) && asn > 0) {
-            this.blockedASNs.add(asn)
+            asns.add(asn)
             asnCount++
           }
         }
@@ -228,30 +389,96 @@ class ASNManager {
 
     // Check cache first
     const cacheKey = `asn_check_${asnNumber}`
-    const cached = this.cache.get(cacheKey)
-    if (cached !== undefined) {
+    const cached = await this.cache.get(cacheKey)
+    if (cached !== undefined && cached !== null) {
       return cached
     }
 
     // Check if ASN is explicitly allowed (whitelist overrides blocklist)
     if (this.allowedASNs.has(asnNumber)) {
-      this.cache.set(cacheKey, false)
+      await this.cache.set(cacheKey, false)
       return false
     }
 
     // Check if ASN is blocked
     const isBlocked = this.blockedASNs.has(asnNumber)
-    this.cache.set(cacheKey, isBlocked)
+    await this.cache.set(cacheKey, isBlocked)
 
     return isBlocked
   }
 
-  getStats() {
+  /**
+   * Action for a blocked ASN; sites sharing these lists pass their own config view for the default action
+   */
+  getASNAction(asn, config = this.config) {
+    const asnNumber = Number.parseInt(asn)
+    return this.asnActions.get(asnNumber) || config.get("asn.action", "captcha")
+  }
+
+  getChallengeType(asn) {
+    return this.asnChallengeTypes.get(Number.parseInt(asn)) || null
+  }
+
+  classifyASN(asn) {
+    const asnNumber = Number.parseInt(asn)
+
+    if (this.allowedASNs.has(asnNumber)) {
+      return "allowlisted"
+    }
+
+    return this.blockedASNs.has(asnNumber) ? "blocklisted" : "unlisted"
+  }
+
+  /**
+   * Find the most specific configured IP range containing an address, or null.
+   * Ranges from custom_asn.json take precedence over remote netsets, and allowed
+   * netsets over blocked ones.
+   */
+  matchIPRange(ip) {
+    const custom = this.customRanges.lookup(ip)
+    if (custom) {
+      return custom
+    }
+
+    let blocked = null
+    for (const trie of this.sourceRanges.values()) {
+      const match = trie.lookup(ip)
+      if (match?.list === "allowed") {
+        return match
+      }
+      blocked = blocked || match
+    }
+    return blocked
+  }
+
+  /**
+   * Find the country list entry for an ISO country code: { list: "allowed" } or { list: "blocked", action }
+   */
+  matchCountry(country) {
+    return country ? this.countries.get(country.toUpperCase()) || null : null
+  }
+
+  getRangeAction(range, config = this.config) {
+    return range.action || config.get("asn.action", "captcha")
+  }
+
+  countRanges() {
+    let count = this.customRanges.size
+    for (const trie of this.sourceRanges.values()) {
+      count += trie.size
+    }
+    return count
+  }
+
+  async getStats() {
     return {
       blockedASNs: this.blockedASNs.size,
       allowedASNs: this.allowedASNs.size,
+      customRanges: this.customRanges.size,
+      sourceRanges: this.countRanges() - this.customRanges.size,
+      countries: this.countries.size,
       lastUpdate: this.lastUpdate,
-      cacheStats: this.cache.getStats(),
+      cacheStats: await this.cache.getStats(),
     }
   }
 
@@ -262,15 +489,16 @@ class ASNManager {
     }
 
     if (type === "blocked") {
-      this.blockedASNs.add(asnNumber)
+      this.customBlockedASNs.add(asnNumber)
       this.allowedASNs.delete(asnNumber)
     } else if (type === "allowed") {
       this.allowedASNs.add(asnNumber)
-      this.blockedASNs.delete(asnNumber)
+      this.customBlockedASNs.delete(asnNumber)
     }
+    this.rebuildBlockedASNs()
 
     // Clear cache for this ASN
-    this.cache.del(`asn_check_${asnNumber}`)
+    await this.cache.del(`asn_check_${asnNumber}`)
 
     this.logger.info(`Added ${type} ASN ${asnNumber}: ${org}`)
   }
@@ -282,20 +510,23 @@ class ASNManager {
     }
 
     this.blockedASNs.delete(asnNumber)
+    this.customBlockedASNs.delete(asnNumber)
     this.allowedASNs.delete(asnNumber)
+    this.asnActions.delete(asnNumber)
+    this.asnChallengeTypes.delete(asnNumber)
 
     // Clear cache for this ASN
-    this.cache.del(`asn_check_${asnNumber}`)
+    await this.cache.del(`asn_check_${asnNumber}`)
 
     this.logger.info(`Removed ASN ${asnNumber} from all lists`)
   }
 
-  destroy() {
+  async destroy() {
     if (this.updateInterval) {
       clearInterval(this.updateInterval)
       this.updateInterval = null
     }
-    this.cache.flushAll()
+    await this.cache.flush()
     this.logger.info("ASN Manager destroyed")
   }
 }
@@ -0,0 +1,136 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_SAMPLE_DIRECTORY = path.join(__dirname, "../../assets/audio/digits")
+const DIGITS = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"]
+
+class AudioRenderer {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.directory = path.resolve(config.get("captcha.audio.samples_directory") || DEFAULT_SAMPLE_DIRECTORY)
+    this.noise = config.get("captcha.audio.noise", 0.03)
+    this.samples = new Map()
+    this.sampleRate = null
+
+    this.loadSamples()
+  }
+
+  loadSamples() {
+    for (const digit of DIGITS) {
+      const file = path.join(this.directory, `${digit}.wav`)
+      try {
+        const { sampleRate, pcm } = this.parseWav(fs.readFileSync(file))
+        if (this.sampleRate && sampleRate !== this.sampleRate) {
+          throw new Error(`sample rate ${sampleRate} Hz does not match ${this.sampleRate} Hz`)
+        }
+        this.sampleRate = sampleRate
+        this.samples.set(digit, pcm)
+      } catch (error) {
+        this.logger.error(`Failed to load audio sample ${file}: ${error.message}`)
+      }
+    }
+
+    if (this.isAvailable()) {
+      this.logger.info(`Loaded audio CAPTCHA samples from ${this.directory}`)
+    } else {
+      this.logger.warn("Audio CAPTCHA disabled: a sample is needed for every digit 0-9")
+    }
+  }
+
+  isAvailable() {
+    return this.samples.size === DIGITS.length
+  }
+
+  // Only 16-bit mono PCM is supported, which keeps mixing to plain integer math
+  parseWav(buffer) {
+    if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+      throw new Error("not a WAV file")
+    }
+
+    let format = null
+    let offset = 12
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString("ascii", offset, offset + 4)
+      const size = buffer.readUInt32LE(offset + 4)
+      const body = offset + 8
+
+      if (id === "fmt ") {
+        format = {
+          encoding: buffer.readUInt16LE(body),
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14),
+        }
+      } else if (id === "data") {
+        if (!format || format.encoding !== 1 || format.channels !== 1 || format.bitsPerSample !== 16) {
+          throw new Error("expected 16-bit mono PCM")
+        }
+        const pcm = buffer.subarray(body, Math.min(body + size, buffer.length))
+        return {
+          sampleRate: format.sampleRate,
+          pcm: new Int16Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + (pcm.length & ~1))),
+        }
+      }
+
+      // Chunks are padded to an even length
+      offset = body + size + (size % 2)
+    }
+
+    throw new Error("missing data chunk")
+  }
+
+  /**
+   * Render digits as a WAV file, with random pauses, volume and background noise
+   * so the same digit never produces identical audio twice
+   */
+  render(digits) {
+    const seconds = (value) => Math.round(value * this.sampleRate)
+    const between = (min, max) => min + (crypto.randomInt(1000) / 1000) * (max - min)
+
+    const parts = [{ silence: seconds(between(0.3, 0.6)) }]
+    for (const digit of String(digits)) {
+      parts.push({ pcm: this.samples.get(digit), gain: between(0.75, 1.1) })
+      parts.push({ silence: seconds(between(0.35, 0.8)) })
+    }
+
+    const length = parts.reduce((sum, part) => sum + (part.pcm ? part.pcm.length : part.silence), 0)
+    const output = new Int16Array(length)
+    const noise = this.noise * 32767
+    let position = 0
+
+    for (const part of parts) {
+      const count = part.pcm ? part.pcm.length : part.silence
+      for (let i = 0; i < count; i++) {
+        const value = (part.pcm ? part.pcm[i] * part.gain : 0) + (Math.random() * 2 - 1) * noise
+        output[position++] = Math.max(-32768, Math.min(32767, Math.round(value)))
+      }
+    }
+
+    return this.encodeWav(output)
+  }
+
+  encodeWav(samples) {
+    const dataSize = samples.length * 2
+    const header = Buffer.alloc(44)
+
+    header.write("RIFF", 0, "ascii")
+    header.writeUInt32LE(36 + dataSize, 4)
+    header.write("WAVE", 8, "ascii")
+    header.write("fmt ", 12, "ascii")
+    header.writeUInt32LE(16, 16)
+    header.writeUInt16LE(1, 20) // PCM
+    header.writeUInt16LE(1, 22) // mono
+    header.writeUInt32LE(this.sampleRate, 24)
+    header.writeUInt32LE(this.sampleRate * 2, 28)
+    header.writeUInt16LE(2, 32)
+    header.writeUInt16LE(16, 34)
+    header.write("data", 36, "ascii")
+    header.writeUInt32LE(dataSize, 40)
+
+    return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)])
+  }
+}
+
+module.exports = AudioRenderer
@@ -1,65 +1,221 @@
 const crypto = require("crypto")
+const { encodePNG } = require("../utils/pngUtils")
+
+// 5x7 bitmap glyphs the image CAPTCHA strokes are laid out on
+const GLYPHS = {
+  A: ["01110", "10001", "10001", "11111", "10001", "10001", "10001"],
+  B: ["11110", "10001", "10001", "11110", "10001", "10001", "11110"],
+  C: ["01110", "10001", "10000", "10000", "10000", "10001", "01110"],
+  D: ["11110", "10001", "10001", "10001", "10001", "10001", "11110"],
+  E: ["11111", "10000", "10000", "11110", "10000", "10000", "11111"],
+  F: ["11111", "10000", "10000", "11110", "10000", "10000", "10000"],
+  G: ["01110", "10001", "10000", "10111", "10001", "10001", "01111"],
+  H: ["10001", "10001", "10001", "11111", "10001", "10001", "10001"],
+  J: ["00111", "00010", "00010", "00010", "00010", "10010", "01100"],
+  K: ["10001", "10010", "10100", "11000", "10100", "10010", "10001"],
+  L: ["10000", "10000", "10000", "10000", "10000", "10000", "11111"],
+  M: ["10001", "11011", "10101", "10101", "10001", "10001", "10001"],
+  N: ["10001", "10001", "11001", "10101", "10011", "10001", "10001"],
+  P: ["11110", "10001", "10001", "11110", "10000", "10000", "10000"],
+  Q: ["01110", "10001", "10001", "10001", "10101", "10010", "01101"],
+  R: ["11110", "10001", "10001", "11110", "10100", "10010", "10001"],
+  S: ["01111", "10000", "10000", "01110", "00001", "00001", "11110"],
+  T: ["11111", "00100", "00100", "00100", "00100", "00100", "00100"],
+  U: ["10001", "10001", "10001", "10001", "10001", "10001", "01110"],
+  V: ["10001", "10001", "10001", "10001", "10001", "01010", "00100"],
+  W: ["10001", "10001", "10001", "10101", "10101", "10101", "01010"],
+  X: ["10001", "10001", "01010", "00100", "01010", "10001", "10001"],
+  Y: ["10001", "10001", "01010", "00100", "00100", "00100", "00100"],
+  Z: ["11111", "00001", "00010", "00100", "01000", "10000", "11111"],
+  2: ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+  3: ["11111", "00010", "00100", "00010", "00001", "10001", "01110"],
+  4: ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+  5: ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+  6: ["00110", "01000", "10000", "11110", "10001", "10001", "01110"],
+  7: ["11111", "00001", "00010", "00100", "01000", "01000", "01000"],
+  8: ["01110", "10001", "10001", "01110", "10001", "10001", "01110"],
+  9: ["01110", "10001", "10001", "01111", "00001", "00010", "01100"],
+}
 
 class CaptchaGenerator {
-  static generateImageCaptcha(width = 200, height = 80) {
-    // Simple text-based CAPTCHA for demonstration
-    // In production, you might want to use a proper image generation library
-    const characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789"
+  static generateImageCaptcha(width = 200, height = 80, options = {}) {
+    // Ambiguous characters (0/O, 1/I) are left out of the glyph set
+    const characters = Object.keys(GLYPHS).join("")
+    const length = options.length || 5
     let text = ""
 
-    for (let i = 0; i < 5; i++) {
-      text += characters.charAt(Math.floor(Math.random() * characters.length))
+    for (let i = 0; i < length; i++) {
+      text += characters.charAt(crypto.randomInt(characters.length))
     }
 
+    const png = CaptchaGenerator.renderImage(text, width, height, options)
+
     return {
       text: text,
-      image: CaptchaGenerator.generateSVGCaptcha(text, width, height),
+      png: png,
+      image: `data:image/png;base64,${png.toString("base64")}`,
     }
   }
 
-  static generateSVGCaptcha(text, width = 200, height = 80) {
-    const colors = ["#FF6B6B", "#4ECDC4", "#45B7D1", "#96CEB4", "#FFEAA7", "#DDA0DD"]
-    const bgColor = "#F8F9FA"
-
-    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
-    svg += `<rect width="100%" height="100%" fill="${bgColor}"/>`
-
-    // Add noise lines
-    for (let i = 0; i < 5; i++) {
-      const x1 = Math.random() * width
-      const y1 = Math.random() * height
-      const x2 = Math.random() * width
-      const y2 = Math.random() * height
-      const color = colors[Math.floor(Math.random() * colors.length)]
+  /**
+   * Rasterize text as a PNG. Glyphs are drawn as strokes of random thickness between the cells of their
+   * bitmap, each scaled, sheared and rotated on its own, then the whole image is warped and crossed with
+   * noise strokes in the same colors, so neither the bitmap grid nor the character boundaries survive.
+   */
+  static renderImage(text, width = 200, height = 80, options = {}) {
+    const noise = options.noise ?? 2
+    const palette =
+      options.color === false
+        ? [
+            [17, 24, 39],
+            [55, 65, 81],
+            [75, 85, 99],
+          ]
+        : [
+            [214, 48, 49],
+            [9, 132, 227],
+            [0, 148, 50],
+            [108, 92, 231],
+            [225, 112, 85],
+          ]
+    const between = (min, max) => min + Math.random() * (max - min)
+    const pick = () => palette[crypto.randomInt(palette.length)]
 
-      svg += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="1" opacity="0.3"/>`
+    const strokes = []
+    const addStroke = (ax, ay, bx, by, radius, color) => {
+      strokes.push({
+        ax,
+        ay,
+        bx,
+        by,
+        radius,
+        color,
+        minX: Math.min(ax, bx) - radius - 1,
+        maxX: Math.max(ax, bx) + radius + 1,
+        minY: Math.min(ay, by) - radius - 1,
+        maxY: Math.max(ay, by) + radius + 1,
+      })
     }
 
-    // Add text
-    const fontSize = 32
-    const letterSpacing = width / (text.length + 1)
+    const slot = width / (text.length + 1)
+    const cell = Math.min((slot * 0.9) / 5, (height * 0.7) / 7)
 
     for (let i = 0; i < text.length; i++) {
-      const x = letterSpacing * (i + 1)
-      const y = height / 2 + fontSize / 3
-      const rotation = (Math.random() - 0.5) * 30 // Random rotation between -15 and 15 degrees
-      const color = colors[Math.floor(Math.random() * colors.length)]
+      const glyph = GLYPHS[text[i]]
+      if (!glyph) continue
 
-      svg += `<text x="${x}" y="${y}" font-family="Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="${color}" text-anchor="middle" transform="rotate(${rotation} ${x} ${y})">${text[i]}</text>`
+      const scale = cell * between(0.85, 1.15)
+      const angle = between(-0.35, 0.35)
+      const shear = between(-0.3, 0.3)
+      const centerX = slot * (i + 1) + between(-0.25, 0.25) * cell
+      const centerY = height / 2 + between(-0.1, 0.1) * height
+      const radius = scale * between(0.4, 0.55)
+      const color = pick()
+      const on = (x, y) => glyph[y]?.[x] === "1"
+      // Cell centers, wobbled so strokes are not straight either
+      const place = (x, y) => {
+        const gx = (x - 2 + between(-0.15, 0.15) + (y - 3) * shear) * scale
+        const gy = (y - 3 + between(-0.15, 0.15)) * scale
+        return [
+          centerX + gx * Math.cos(angle) - gy * Math.sin(angle),
+          centerY + gx * Math.sin(angle) + gy * Math.cos(angle),
+        ]
+      }
+
+      for (let y = 0; y < 7; y++) {
+        for (let x = 0; x < 5; x++) {
+          if (!on(x, y)) continue
+
+          const from = place(x, y)
+          const neighbors = [
+            [x + 1, y],
+            [x, y + 1],
+          ]
+          // Diagonals only where no horizontal and vertical pair already joins the two cells
+          if (!on(x + 1, y) && !on(x, y + 1)) neighbors.push([x + 1, y + 1])
+          if (!on(x - 1, y) && !on(x, y + 1)) neighbors.push([x - 1, y + 1])
+
+          let joined = false
+          for (const [nx, ny] of neighbors) {
+            if (on(nx, ny)) {
+              addStroke(...from, ...place(nx, ny), radius, color)
+              joined = true
+            }
+          }
+          if (!joined) {
+            addStroke(...from, ...from, radius, color)
+          }
+        }
+      }
     }
 
-    // Add noise dots
-    for (let i = 0; i < 20; i++) {
-      const x = Math.random() * width
-      const y = Math.random() * height
-      const color = colors[Math.floor(Math.random() * colors.length)]
+    // Noise strokes as thick as the text and in the same colors, running through the characters
+    for (let i = 0; i < noise; i++) {
+      const radius = cell * between(0.12, 0.25)
+      const color = pick()
+      let x = between(0, width * 0.3)
+      let y = between(height * 0.2, height * 0.8)
+      while (x < width) {
+        const nextX = x + between(width * 0.1, width * 0.25)
+        const nextY = Math.min(Math.max(y + between(-0.3, 0.3) * height, 0), height)
+        addStroke(x, y, nextX, nextY, radius, color)
+        x = nextX
+        y = nextY
+      }
+    }
 
-      svg += `<circle cx="${x}" cy="${y}" r="2" fill="${color}" opacity="0.5"/>`
+    // A sine warp over the whole image bends the strokes after they were placed
+    const warp = {
+      amplitudeX: between(0.03, 0.06) * height,
+      amplitudeY: between(0.04, 0.08) * height,
+      frequencyX: (2 * Math.PI) / between(0.6, 1.2) / height,
+      frequencyY: (2 * Math.PI) / between(0.3, 0.6) / width,
+      phaseX: between(0, 2 * Math.PI),
+      phaseY: between(0, 2 * Math.PI),
     }
 
-    svg += "</svg>"
+    const pixels = Buffer.alloc(width * height * 3)
+    for (let py = 0; py < height; py++) {
+      for (let px = 0; px < width; px++) {
+        const u = px + warp.amplitudeX * Math.sin(py * warp.frequencyX + warp.phaseX)
+        const v = py + warp.amplitudeY * Math.sin(px * warp.frequencyY + warp.phaseY)
 
-    return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`
+        const shade = 240 + crypto.randomInt(16)
+        let rgb = [shade, shade, shade]
+        for (const stroke of strokes) {
+          if (u < stroke.minX || u > stroke.maxX || v < stroke.minY || v > stroke.maxY) continue
+
+          // Coverage from the distance to the stroke's segment, which also smooths its edges
+          const dx = stroke.bx - stroke.ax
+          const dy = stroke.by - stroke.ay
+          const lengthSquared = dx * dx + dy * dy
+          const t = lengthSquared
+            ? Math.min(Math.max(((u - stroke.ax) * dx + (v - stroke.ay) * dy) / lengthSquared, 0), 1)
+            : 0
+          const distance = Math.hypot(u - stroke.ax - t * dx, v - stroke.ay - t * dy)
+          const coverage = Math.min(Math.max(stroke.radius - distance + 0.5, 0), 1)
+          if (coverage > 0) {
+            rgb = rgb.map((channel, c) => channel + (stroke.color[c] - channel) * coverage)
+          }
+        }
+
+        const offset = (py * width + px) * 3
+        pixels[offset] = rgb[0]
+        pixels[offset + 1] = rgb[1]
+        pixels[offset + 2] = rgb[2]
+      }
+    }
+
+    // Speckles in text colors
+    for (let i = 0; i < noise * width * height * 0.01; i++) {
+      const offset = crypto.randomInt(width * height) * 3
+      const color = pick()
+      pixels[offset] = color[0]
+      pixels[offset + 1] = color[1]
+      pixels[offset + 2] = color[2]
+    }
+
+    return encodePNG(width, height, pixels)
   }
 
   static generateWordCaptcha() {
@@ -81,36 +237,112 @@ class CaptchaGenerator {
       "rainbow",
     ]
 
-    const word = words[Math.floor(Math.random() * words.length)]
-    const scrambled = word
-      .split("")
-      .sort(() => Math.random() - 0.5)
-      .join("")
+    const word = words[crypto.randomInt(words.length)]
+    let scrambled = word
+
+    // Shuffle until the letters actually move, otherwise the answer is printed on the page
+    while (scrambled === word) {
+      const letters = word.split("")
+      for (let i = letters.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1)
+        ;[letters[i], letters[j]] = [letters[j], letters[i]]
+      }
+      scrambled = letters.join("")
+    }
 
     return {
-      question: `Unscramble this word: ${scrambled.toUpperCase()}`,
+      question: scrambled.toUpperCase(),
+      prompt: "Unscramble the letters to form a word",
       answer: word.toLowerCase(),
       type: "word",
     }
   }
 
   static generateSequenceCaptcha() {
-    const sequences = [
-      { pattern: [2, 4, 6, 8], next: 10, description: "even numbers" },
-      { pattern: [1, 3, 5, 7], next: 9, description: "odd numbers" },
-      { pattern: [1, 4, 7, 10], next: 13, description: "add 3" },
-      { pattern: [2, 6, 18, 54], next: 162, description: "multiply by 3" },
-      { pattern: [1, 1, 2, 3], next: 5, description: "Fibonacci" },
+    const between = (min, max) => min + crypto.randomInt(max - min + 1)
+    // Each pattern gets random parameters so the answers cannot be memorised
+    const build = (seed, next) => {
+      const terms = [...seed]
+      while (terms.length < 5) {
+        terms.push(next(terms))
+      }
+      return terms
+    }
+    const patterns = [
+      () => {
+        const step = between(2, 9)
+        return { terms: build([between(1, 20)], (t) => t[t.length - 1] + step), rule: { name: "add", n: step } }
+      },
+      () => {
+        const step = between(2, 9)
+        return { terms: build([between(50, 99)], (t) => t[t.length - 1] - step), rule: { name: "subtract", n: step } }
+      },
+      () => {
+        const ratio = between(2, 3)
+        return { terms: build([between(1, 5)], (t) => t[t.length - 1] * ratio), rule: { name: "multiply", n: ratio } }
+      },
+      () => ({
+        terms: build([between(1, 9), between(1, 9)], (t) => t[t.length - 1] + t[t.length - 2]),
+        rule: { name: "sum" },
+      }),
     ]
 
-    const sequence = sequences[Math.floor(Math.random() * sequences.length)]
+    const { terms, rule } = patterns[crypto.randomInt(patterns.length)]()
+    const descriptions = {
+      add: `add ${rule.n}`,
+      subtract: `subtract ${rule.n}`,
+      multiply: `multiply by ${rule.n}`,
+      sum: "each number is the sum of the two before it",
+    }
+    const answer = terms.pop()
 
     return {
-      question: `What comes next in this sequence: ${sequence.pattern.join(", ")}, ?`,
-      answer: sequence.next,
+      question: `${terms.join(", ")}, ?`,
+      prompt: "What number comes next in this sequence?",
+      answer,
       type: "sequence",
-      hint: sequence.description,
+      hint: descriptions[rule.name],
+      rule,
+    }
+  }
+
+  static generateAudioCaptcha(length = 6) {
+    let digits = ""
+    for (let i = 0; i < length; i++) {
+      digits += crypto.randomInt(10)
     }
+
+    // The answer is kept as a string so leading zeros count
+    return { answer: digits, type: "audio" }
+  }
+
+  static generateProofOfWork(difficulty = 16) {
+    return {
+      salt: crypto.randomBytes(16).toString("hex"),
+      difficulty,
+      type: "pow",
+    }
+  }
+
+  static verifyProofOfWork(salt, difficulty, nonce) {
+    if (typeof nonce !== "string" || !/^\d{1,15}$/.test(nonce)) {
+      return false
+    }
+
+    // Hashcash: SHA-256 of "salt:nonce" must start with `difficulty` zero bits
+    const hash = crypto.createHash("sha256").update(`${salt}:${nonce}`).digest()
+    let zeroBits = 0
+
+    for (const byte of hash) {
+      if (byte === 0) {
+        zeroBits += 8
+        continue
+      }
+      zeroBits += Math.clz32(byte) - 24
+      break
+    }
+
+    return zeroBits >= difficulty
   }
 }
 
@@ -1,36 +1,310 @@
-const NodeCache = require("node-cache")
 const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const MemoryStore = require("../store/MemoryStore")
+const CaptchaGenerator = require("./CaptchaGenerator")
+const AudioRenderer = require("./AudioRenderer")
+const SignedToken = require("./SignedToken")
+const Localizer = require("../i18n/Localizer")
+const { parseCookies, serializeCookie } = require("../utils/cookieUtils")
+const { renderTemplate } = require("../utils/templateUtils")
+const { isSafeRedirect } = require("../utils/redirectUtils")
+const { getNetworkPrefix, normalizeIP } = require("../utils/ipUtils")
+
+const CHALLENGE_TYPES = ["math", "image", "word", "sequence", "pow", "audio"]
+const ESCALATION_LEVELS = ["easy", "medium", "hard", "image"]
+const TEMPLATE_DIRECTORY = path.join(__dirname, "../../templates")
+// Colors end up inside a <style> block, where HTML escaping does not help
+const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i
 
 class CaptchaManager {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     this.config = config
     this.logger = logger
-    this.challengeCache = new NodeCache({ stdTTL: config.get("captcha.expiry", 300) })
-    this.verifiedIPs = new NodeCache({ stdTTL: config.get("captcha.verification_ttl", 3600) })
+    this.metrics = options.metrics || null
+    this.store = options.store || new MemoryStore()
+    this.localizer = options.localizer || new Localizer(config, logger)
+    this.challengeCache = this.store.createCache("captcha:challenges", { ttl: config.get("captcha.expiry", 300) })
+    this.verifiedIPs = this.store.createCache("captcha:verified", { ttl: config.get("captcha.verification_ttl", 3600) })
     this.difficulty = config.get("captcha.difficulty", "medium")
+    this.attemptLimits = {
+      maxFailures: config.get("captcha.attempts.max_failures", 5),
+      // One attacker can fail for a whole ASN, so ASN-wide lockouts are opt-in
+      asnMaxFailures: config.get("captcha.attempts.asn_max_failures", 0),
+      window: config.get("captcha.attempts.window", 900),
+      lockout: config.get("captcha.attempts.lockout", 900),
+      escalateAfter: config.get("captcha.attempts.escalate_after", 2),
+    }
+    this.failedAttempts = this.store.createCache("captcha:failures", { ttl: this.attemptLimits.window })
+    this.lockouts = this.store.createCache("captcha:lockouts", { ttl: this.attemptLimits.lockout })
+    this.challengeTypes = this.loadChallengeTypes()
+    this.powDifficulty = config.get("captcha.pow.difficulty", 16)
+    this.powFallbackType = config.get("captcha.pow.fallback_type", "math")
+    this.audioLength = config.get("captcha.audio.length", 6)
+    this.audioRenderer = new AudioRenderer(config, logger)
+    this.verificationMode = config.get("captcha.verification_mode", "cookie")
+    this.cookieName = config.get("captcha.cookie.name", "asn_proxy_verified")
+    this.sessionCookieName = `${this.cookieName}_session`
+    this.tokenSigner = new SignedToken(this.loadCookieSecrets())
+    this.redirectHosts = this.loadRedirectHosts()
+    this.template = this.loadTemplate("captcha.template", "captcha-page.html")
+    this.blockedTemplate = this.loadTemplate("captcha.blocked_template", "blocked-page.html")
+    this.branding = this.loadBranding()
+  }
+
+  loadTemplate(configKey, defaultFile) {
+    const templatePath = this.config.get(configKey)
+
+    if (templatePath) {
+      try {
+        return fs.readFileSync(path.resolve(templatePath), "utf8")
+      } catch (error) {
+        this.logger.error(`Failed to load template ${templatePath}, using the default: ${error.message}`)
+      }
+    }
+
+    return fs.readFileSync(path.join(TEMPLATE_DIRECTORY, defaultFile), "utf8")
+  }
+
+  /**
+   * Page branding from captcha.branding; sites pass their own config view
+   */
+  loadBranding(config = this.config) {
+    const color = (key, fallback) => {
+      const value = config.get(`captcha.branding.${key}`)
+      if (!value) return fallback
+      if (CSS_COLOR_PATTERN.test(value)) return value
+
+      this.logger.warn(`Ignoring invalid captcha.branding.${key}: ${value}`)
+      return fallback
+    }
+
+    return {
+      title: config.get("captcha.branding.title"),
+      logo_url: config.get("captcha.branding.logo_url"),
+      primary_color: color("primary_color", "#667eea"),
+      secondary_color: color("secondary_color", "#764ba2"),
+      support_contact: config.get("captcha.branding.support_contact"),
+    }
+  }
+
+  getSupportLink(branding = this.branding) {
+    const contact = branding.support_contact
+    if (!contact) {
+      return null
+    }
+
+    if (/^https?:\/\//i.test(contact)) {
+      return { text: contact, href: contact }
+    }
+
+    // Anything else is treated as an email address; other URL schemes are never linked
+    return { text: contact, href: `mailto:${contact.replace(/^mailto:/i, "")}` }
+  }
+
+  loadCookieSecrets() {
+    let secrets = this.config.get("captcha.cookie.secrets", [])
+    if (typeof secrets === "string") {
+      secrets = secrets.split(",").map((secret) => secret.trim())
+    }
+
+    secrets = secrets.filter(Boolean)
+    if (secrets.length === 0) {
+      // Cookies signed with a random key stop working on restart and are not shared between replicas
+      this.logger.warn("No captcha.cookie.secrets configured, using a random key for this process only")
+      secrets = [crypto.randomBytes(32).toString("hex")]
+    }
+
+    return secrets
+  }
+
+  loadRedirectHosts() {
+    let hosts = this.config.get("captcha.redirect.allowed_hosts", [])
+    if (typeof hosts === "string") {
+      hosts = hosts.split(",")
+    }
+
+    return (Array.isArray(hosts) ? hosts : [])
+      .filter((host) => typeof host === "string")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean)
+  }
+
+  // Only same-site paths and allowlisted hosts are followed, so /captcha cannot be used as an open redirect
+  sanitizeRedirect(target, ip = null) {
+    if (target === undefined || target === null || target === "") {
+      return "/"
+    }
+
+    if (isSafeRedirect(target, this.redirectHosts)) {
+      return target
+    }
+
+    this.logger.warn(`Rejected CAPTCHA redirect target ${JSON.stringify(String(target).slice(0, 200))} from ${ip}`)
+    return "/"
+  }
+
+  loadChallengeTypes() {
+    const configured = this.config.get("captcha.types", [])
+    const types = []
+
+    for (const entry of Array.isArray(configured) ? configured : []) {
+      const type = entry?.type
+      const weight = entry?.weight ?? 1
+
+      if (!CHALLENGE_TYPES.includes(type) || typeof weight !== "number" || !(weight > 0)) {
+        this.logger.warn(`Ignoring invalid captcha.types entry: ${JSON.stringify(entry)}`)
+        continue
+      }
+      types.push({ type, weight })
+    }
+
+    // Without a rotation list every challenge uses the single captcha.type
+    return types.length > 0 ? types : [{ type: this.config.get("captcha.type", "math"), weight: 1 }]
+  }
+
+  pickChallengeType() {
+    const totalWeight = this.challengeTypes.reduce((sum, entry) => sum + entry.weight, 0)
+    let roll = Math.random() * totalWeight
+
+    for (const entry of this.challengeTypes) {
+      roll -= entry.weight
+      if (roll < 0) {
+        return entry.type
+      }
+    }
+
+    return this.challengeTypes[this.challengeTypes.length - 1].type
+  }
+
+  createChallenge(type, difficulty = this.difficulty) {
+    switch (type) {
+      case "image":
+        return this.createImageChallenge()
+      case "word":
+        return CaptchaGenerator.generateWordCaptcha()
+      case "sequence":
+        return CaptchaGenerator.generateSequenceCaptcha()
+      case "pow":
+        return CaptchaGenerator.generateProofOfWork(this.powDifficulty)
+      case "audio":
+        return CaptchaGenerator.generateAudioCaptcha(this.audioLength)
+      default:
+        return this.createMathChallenge(difficulty)
+    }
   }
 
-  generateChallenge() {
+  getEscalation(failures) {
+    const { escalateAfter } = this.attemptLimits
+    if (!escalateAfter || failures < escalateAfter) {
+      return null
+    }
+
+    const start = Math.max(ESCALATION_LEVELS.indexOf(this.difficulty), 0)
+    const level = Math.min(start + Math.floor(failures / escalateAfter), ESCALATION_LEVELS.length - 1)
+    return ESCALATION_LEVELS[level]
+  }
+
+  async generateChallenge(options = {}) {
     const challengeId = crypto.randomUUID()
-    const challenge = this.createMathChallenge()
+    const escalation = this.getEscalation(options.failures || 0)
+    let type = CHALLENGE_TYPES.includes(options.type) ? options.type : this.pickChallengeType()
+    // Access rules may ask for a difficulty of their own
+    let difficulty = ["easy", "medium", "hard"].includes(options.difficulty) ? options.difficulty : this.difficulty
+
+    // Repeated failures step up through harder math problems to an image CAPTCHA.
+    // Audio is the accessible alternative, so it is never swapped for a visual challenge.
+    if (escalation && type !== "audio") {
+      type = escalation === "image" ? "image" : "math"
+      difficulty = escalation === "image" ? difficulty : escalation
+    }
+
+    // Visitors without JavaScript cannot run the proof-of-work solver
+    if (type === "pow" && options.interactive) {
+      type = this.powFallbackType
+    }
+
+    if (type === "audio" && !this.audioRenderer.isAvailable()) {
+      type = "math"
+    }
+
+    const challenge = this.createChallenge(type, difficulty)
 
     // Store challenge with answer
-    this.challengeCache.set(challengeId, {
+    await this.challengeCache.set(challengeId, {
       answer: challenge.answer,
       question: challenge.question,
+      type: challenge.type,
+      image: challenge.image,
+      salt: challenge.salt,
+      difficulty: challenge.difficulty,
       created: Date.now(),
     })
 
-    this.logger.debug(`Generated CAPTCHA challenge: ${challengeId}`)
+    this.metrics?.recordCaptcha("generated")
+    this.logger.debug(`Generated ${challenge.type} CAPTCHA challenge: ${challengeId}`)
+
+    // Image challenges never expose the answer-bearing text to the page
+    if (challenge.type === "image") {
+      return {
+        id: challengeId,
+        type: challenge.type,
+        imageUrl: `/captcha/image/${challengeId}`,
+      }
+    }
+
+    if (challenge.type === "audio") {
+      return {
+        id: challengeId,
+        type: challenge.type,
+        audioUrl: `/captcha/audio/${challengeId}`,
+      }
+    }
+
+    if (challenge.type === "pow") {
+      return {
+        id: challengeId,
+        type: challenge.type,
+        salt: challenge.salt,
+        difficulty: challenge.difficulty,
+      }
+    }
 
     return {
       id: challengeId,
       question: challenge.question,
+      prompt: challenge.prompt,
+      hint: challenge.hint,
+      rule: challenge.rule,
       type: challenge.type,
     }
   }
 
-  createMathChallenge() {
+  createImageChallenge() {
+    const { text, png } = CaptchaGenerator.generateImageCaptcha(
+      this.config.get("captcha.width", 200),
+      this.config.get("captcha.height", 80),
+      {
+        noise: this.config.get("captcha.noise", 2),
+        color: this.config.get("captcha.color", true),
+      },
+    )
+
+    // Base64, so the PNG survives the JSON encoding of the state store
+    return { answer: text, image: png.toString("base64"), type: "image" }
+  }
+
+  async getChallengeImage(challengeId) {
+    const challenge = await this.challengeCache.get(challengeId)
+    return challenge?.type === "image" ? Buffer.from(challenge.image, "base64") : null
+  }
+
+  async getChallengeAudio(challengeId) {
+    const challenge = await this.challengeCache.get(challengeId)
+    return challenge?.type === "audio" ? this.audioRenderer.render(challenge.answer) : null
+  }
+
+  createMathChallenge(difficulty = this.difficulty) {
     const challenges = {
       easy: () => {
         const a = Math.floor(Math.random() * 10) + 1
@@ -103,7 +377,7 @@ class CaptchaManager {
       },
     }
 
-    const generator = challenges[this.difficulty] || challenges.medium
+    const generator = challenges[difficulty] || challenges.medium
     return generator()
   }
 
@@ -112,284 +386,324 @@ class CaptchaManager {
       return false
     }
 
-    const challenge = this.challengeCache.get(challengeId)
+    // Remove challenge on read (one-time use)
+    const challenge = await this.challengeCache.take(challengeId)
     if (!challenge) {
+      this.metrics?.recordCaptcha("expired")
       this.logger.debug(`Challenge not found or expired: ${challengeId}`)
       return false
     }
 
-    // Remove challenge after use (one-time use)
-    this.challengeCache.del(challengeId)
-
-    const isCorrect = Number.parseInt(userAnswer) === challenge.answer
+    const isCorrect = this.checkAnswer(challenge, userAnswer)
+    this.metrics?.recordCaptcha(isCorrect ? "solved" : "failed")
     this.logger.debug(`Challenge ${challengeId} verification: ${isCorrect}`)
 
     return isCorrect
   }
 
-  markIPAsVerified(ip) {
-    this.verifiedIPs.set(ip, {
-      verified: true,
-      timestamp: Date.now(),
-    })
-    this.logger.debug(`Marked IP as verified: ${ip}`)
+  checkAnswer(challenge, userAnswer) {
+    const answer = String(userAnswer).trim()
+
+    switch (challenge.type) {
+      case "image":
+        return answer.toUpperCase() === challenge.answer
+      case "word":
+        return answer.toLowerCase() === challenge.answer
+      case "pow":
+        return CaptchaGenerator.verifyProofOfWork(challenge.salt, challenge.difficulty, answer)
+      case "audio":
+        // Listeners often type the digits with separators, e.g. "4 2 7"
+        return answer.replace(/[\s,.-]/g, "") === challenge.answer
+      default:
+        // Numeric answers must be whole integers, so "12abc" or "12.5" never match 12
+        return /^-?\d+$/.test(answer) && Number(answer) === Number(challenge.answer)
+    }
   }
 
-  isIPVerified(ip) {
-    const verification = this.verifiedIPs.get(ip)
-    return !!verification?.verified
+  // IPv4-mapped IPv6 and IPv4 spellings of one address must share their cache entries
+  ipKey(ip) {
+    return normalizeIP(ip) || ip
   }
 
-  renderChallengePage(challenge, redirectUrl = "/") {
-    const errorParam = new URLSearchParams(global.location?.search || "").get("error")
-    const errorMessage = errorParam === "invalid" ? "Incorrect answer. Please try again." : ""
-
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Security Verification</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-        }
-        
-        .container {
-            background: white;
-            border-radius: 12px;
-            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
-            padding: 40px;
-            max-width: 400px;
-            width: 100%;
-            text-align: center;
-        }
-        
-        .shield-icon {
-            width: 60px;
-            height: 60px;
-            margin: 0 auto 20px;
-            background: #667eea;
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-size: 24px;
-        }
-        
-        h1 {
-            color: #333;
-            margin-bottom: 10px;
-            font-size: 24px;
-            font-weight: 600;
-        }
-        
-        .subtitle {
-            color: #666;
-            margin-bottom: 30px;
-            line-height: 1.5;
-        }
-        
-        .challenge-box {
-            background: #f8f9fa;
-            border: 2px solid #e9ecef;
-            border-radius: 8px;
-            padding: 20px;
-            margin-bottom: 20px;
-        }
-        
-        .challenge-question {
-            font-size: 28px;
-            font-weight: bold;
-            color: #333;
-            margin-bottom: 15px;
-        }
-        
-        .challenge-prompt {
-            color: #666;
-            font-size: 14px;
-        }
-        
-        .form-group {
-            margin-bottom: 20px;
-            text-align: left;
-        }
-        
-        label {
-            display: block;
-            margin-bottom: 8px;
-            color: #333;
-            font-weight: 500;
-        }
-        
-        input[type="number"] {
-            width: 100%;
-            padding: 12px 16px;
-            border: 2px solid #e9ecef;
-            border-radius: 6px;
-            font-size: 16px;
-            transition: border-color 0.3s ease;
-        }
-        
-        input[type="number"]:focus {
-            outline: none;
-            border-color: #667eea;
-            box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-        }
-        
-        .submit-btn {
-            width: 100%;
-            background: #667eea;
-            color: white;
-            border: none;
-            padding: 14px 20px;
-            border-radius: 6px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: background-color 0.3s ease;
-        }
-        
-        .submit-btn:hover {
-            background: #5a6fd8;
-        }
-        
-        .submit-btn:active {
-            transform: translateY(1px);
-        }
-        
-        .error-message {
-            background: #fee;
-            color: #c33;
-            padding: 12px;
-            border-radius: 6px;
-            margin-bottom: 20px;
-            border: 1px solid #fcc;
-        }
-        
-        .info-text {
-            color: #666;
-            font-size: 12px;
-            margin-top: 20px;
-            line-height: 1.4;
-        }
-        
-        @media (max-width: 480px) {
-            .container {
-                padding: 30px 20px;
-            }
-            
-            h1 {
-                font-size: 20px;
-            }
-            
-            .challenge-question {
-                font-size: 24px;
-            }
+  attemptKeys(ip, asn) {
+    const ipKey = `ip:${this.ipKey(ip)}`
+    return asn ? [ipKey, `asn:${asn}`] : [ipKey]
+  }
+
+  async getFailureCount(ip) {
+    return (await this.failedAttempts.get(`ip:${this.ipKey(ip)}`)) || 0
+  }
+
+  async recordFailure(ip, asn = null) {
+    const { maxFailures, asnMaxFailures } = this.attemptLimits
+    const ipKey = `ip:${this.ipKey(ip)}`
+
+    const ipFailures = await this.failedAttempts.incr(ipKey)
+    if (maxFailures > 0 && ipFailures >= maxFailures) {
+      await this.lockOut(ipKey, ipFailures)
+    }
+
+    if (asn && asnMaxFailures > 0) {
+      const asnFailures = await this.failedAttempts.incr(`asn:${asn}`)
+      if (asnFailures >= asnMaxFailures) {
+        await this.lockOut(`asn:${asn}`, asnFailures)
+      }
+    }
+
+    return ipFailures
+  }
+
+  async lockOut(key, failures) {
+    const until = Date.now() + this.attemptLimits.lockout * 1000
+    await this.lockouts.set(key, { until, failures })
+    // Counting starts afresh once the lockout expires
+    await this.failedAttempts.del(key)
+
+    this.metrics?.recordCaptcha("lockout")
+    this.logger.warn(`CAPTCHA lockout for ${key} after ${failures} failed attempts (${this.attemptLimits.lockout}s)`)
+  }
+
+  async getLockout(ip, asn = null) {
+    for (const key of this.attemptKeys(ip, asn)) {
+      const lockout = await this.lockouts.get(key)
+      if (lockout) {
+        return {
+          scope: key.split(":")[0],
+          until: new Date(lockout.until),
+          retryAfter: Math.max(Math.ceil((lockout.until - Date.now()) / 1000), 1),
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="shield-icon">🛡️</div>
-        <h1>Security Verification</h1>
-        <p class="subtitle">Please solve this simple math problem to continue</p>
-        
-        ${errorMessage ? `<div class="error-message">${errorMessage}</div>` : ""}
-        
-        <div class="challenge-box">
-            <div class="challenge-question">${challenge.question} = ?</div>
-            <div class="challenge-prompt">What is the answer?</div>
-        </div>
-        
-        <form method="POST" action="/captcha/verify">
-            <input type="hidden" name="challenge" value="${challenge.id}">
-            <input type="hidden" name="redirect" value="${redirectUrl}">
-            
-            <div class="form-group">
-                <label for="answer">Your Answer:</label>
-                <input 
-                    type="number" 
-                    id="answer" 
-                    name="response" 
-                    required 
-                    autofocus
-                    placeholder="Enter the answer"
-                >
-            </div>
-            
-            <button type="submit" class="submit-btn">Verify & Continue</button>
-        </form>
-        
-        <p class="info-text">
-            This verification helps protect against automated traffic. 
-            Your answer will be verified and you'll be redirected to your destination.
-        </p>
-    </div>
-    
-    <script>
-        // Auto-focus on the input field
-        document.getElementById('answer').focus();
-        
-        // Handle form submission
-        document.querySelector('form').addEventListener('submit', function(e) {
-            const answer = document.getElementById('answer').value;
-            if (!answer || answer.trim() === '') {
-                e.preventDefault();
-                alert('Please enter an answer');
-                return false;
-            }
-        });
-        
-        // Handle Enter key
-        document.getElementById('answer').addEventListener('keypress', function(e) {
-            if (e.key === 'Enter') {
-                document.querySelector('form').submit();
-            }
-        });
-    </script>
-</body>
-</html>`
-  }
-
-  getStats() {
+      }
+    }
+
+    return null
+  }
+
+  async clearFailures(ip) {
+    await this.failedAttempts.del(`ip:${this.ipKey(ip)}`)
+  }
+
+  async markIPAsVerified(ip, options = {}) {
+    const ttl = options.ttl || this.config.get("captcha.verification_ttl", 3600)
+
+    await this.verifiedIPs.set(
+      this.ipKey(ip),
+      {
+        verified: true,
+        timestamp: Date.now(),
+        reason: options.reason || "captcha",
+      },
+      ttl,
+    )
+    this.logger.debug(`Marked IP as verified: ${ip} (${options.reason || "captcha"}, ${ttl}s)`)
+
+    return new Date(Date.now() + ttl * 1000)
+  }
+
+  async isIPVerified(ip) {
+    const verification = await this.verifiedIPs.get(this.ipKey(ip))
+    return !!verification?.verified
+  }
+
+  /**
+   * What a verification token is tied to: the client's /24 or /64 network, the site host and the ASN,
+   * so a cookie solved in one place does not pass anywhere else
+   */
+  tokenBinding({ ip, host, asn }) {
+    return { net: getNetworkPrefix(ip) || ip, host: host || "", asn: asn ?? null }
+  }
+
+  issueVerificationToken(binding) {
+    const ttl = this.config.get("captcha.verification_ttl", 3600)
     return {
-      activeChallenges: this.challengeCache.keys().length,
-      verifiedIPs: this.verifiedIPs.keys().length,
-      challengeStats: this.challengeCache.getStats(),
-      verificationStats: this.verifiedIPs.getStats(),
+      token: this.tokenSigner.sign({ v: 1, ...this.tokenBinding(binding) }, ttl),
+      ttl,
+      expiresAt: new Date(Date.now() + ttl * 1000),
+    }
+  }
+
+  isVerificationTokenValid(token, binding) {
+    // Session tokens are signed with the same keys and must not pass as a verification
+    const payload = this.tokenSigner.verify(token)
+    if (payload?.v !== 1) {
+      return false
+    }
+
+    return this.matchesBinding(payload, binding)
+  }
+
+  matchesBinding(payload, binding) {
+    const expected = this.tokenBinding(binding)
+    return payload.net === expected.net && payload.host === expected.host && payload.asn === expected.asn
+  }
+
+  cookieOptions(req) {
+    const secure = this.config.get("captcha.cookie.secure", "auto")
+    return {
+      httpOnly: true,
+      secure: secure === "auto" ? req.secure : !!secure,
+      sameSite: this.config.get("captcha.cookie.same_site", "lax"),
+      domain: this.config.get("captcha.cookie.domain") || undefined,
+      path: "/",
+    }
+  }
+
+  /**
+   * Set-Cookie value marking a browser whose page load passed the checks, for the client network and host
+   * it was loaded from, so protection.html_only can let its sub-resources through
+   */
+  issueSessionCookie(req, { ip, host }) {
+    const ttl = this.config.get("protection.session_ttl", 1800)
+    return serializeCookie(
+      this.sessionCookieName,
+      this.tokenSigner.sign({ session: 1, ...this.tokenBinding({ ip, host }) }, ttl),
+      {
+        ...this.cookieOptions(req),
+        maxAge: ttl,
+      },
+    )
+  }
+
+  isSessionSeen(req, { ip, host }) {
+    const token = parseCookies(req.headers.cookie)[this.sessionCookieName]
+    const payload = this.tokenSigner.verify(token)
+    return payload?.session === 1 && this.matchesBinding(payload, { ip, host })
+  }
+
+  /**
+   * Whether a request carries a verification, for its client IP, site host and ASN
+   */
+  async isRequestVerified(req, { ip, host, asn }) {
+    if (this.verificationMode !== "ip") {
+      const token = parseCookies(req.headers.cookie)[this.cookieName]
+      if (token && this.isVerificationTokenValid(token, { ip, host, asn })) {
+        return true
+      }
+    }
+
+    // Admin whitelist entries live in the IP cache in every mode
+    return this.isIPVerified(ip)
+  }
+
+  async markRequestVerified(req, res, { ip, host, asn }) {
+    let expiresAt = null
+
+    if (this.verificationMode !== "ip") {
+      const issued = this.issueVerificationToken({ ip, host, asn })
+
+      res.cookie(this.cookieName, issued.token, {
+        ...this.cookieOptions(req),
+        maxAge: issued.ttl * 1000,
+      })
+      expiresAt = issued.expiresAt
+    }
+
+    if (this.verificationMode !== "cookie") {
+      expiresAt = await this.markIPAsVerified(ip)
+    }
+
+    return expiresAt
+  }
+
+  getPageContext(options) {
+    const locale = this.localizer.hasLocale(options.locale) ? options.locale : this.localizer.defaultLocale
+    const branding = options.branding || this.branding
+
+    return {
+      locale,
+      direction: this.localizer.getDirection(locale),
+      t: this.localizer.getMessages(locale),
+      branding,
+      support: this.getSupportLink(branding),
+    }
+  }
+
+  renderChallengePage(challenge, options = {}) {
+    const redirectUrl = this.sanitizeRedirect(options.redirect)
+    const context = this.getPageContext(options)
+    const t = (key, params) => this.localizer.t(context.locale, key, params)
+    const messages = context.t.challenge || {}
+    const hasMessage = (group, key) => typeof key === "string" && Object.hasOwn(messages[group] || {}, key)
+    const rule = challenge.rule
+    const modeUrl = (mode) =>
+      `/captcha?mode=${mode}&lang=${encodeURIComponent(context.locale)}&redirect=${encodeURIComponent(redirectUrl)}`
+
+    return renderTemplate(this.template, {
+      ...context,
+      title: context.branding.title || t("challenge.title"),
+      subtitle: t(`challenge.subtitle.${challenge.type}`),
+      error_message: hasMessage("error", options.error) ? t(`challenge.error.${options.error}`) : "",
+      challenge_id: challenge.id,
+      redirect: redirectUrl,
+      is_pow: challenge.type === "pow",
+      is_image: challenge.type === "image",
+      is_audio: challenge.type === "audio",
+      question: challenge.type === "math" ? `${challenge.question} = ?` : challenge.question,
+      prompt: t(`challenge.prompt.${challenge.type}`),
+      hint: rule ? t("challenge.hint", { hint: t(`challenge.sequence_rule.${rule.name}`, { n: rule.n }) }) : null,
+      image: {
+        url: challenge.imageUrl,
+        width: this.config.get("captcha.width", 200),
+        height: this.config.get("captcha.height", 80),
+      },
+      pow: { salt: challenge.salt, difficulty: challenge.difficulty },
+      audio: { url: challenge.audioUrl },
+      interactive_url: modeUrl("interactive"),
+      audio_mode_url: challenge.type !== "audio" && this.audioRenderer.isAvailable() ? modeUrl("audio") : null,
+      input_type: challenge.type === "math" || challenge.type === "sequence" ? "number" : "text",
+      input_mode: challenge.type === "audio" ? "numeric" : "text",
+      placeholder: t(`challenge.placeholder.${hasMessage("placeholder", challenge.type) ? challenge.type : "default"}`),
+    })
+  }
+
+  renderBlockedPage(options = {}) {
+    return renderTemplate(this.blockedTemplate, this.getPageContext(options))
+  }
+
+  async getStats() {
+    const challengeStats = await this.challengeCache.getStats()
+    const verificationStats = await this.verifiedIPs.getStats()
+    // Only the in-process store can list its keys cheaply; Redis would need a SCAN on every call
+    const countKeys = this.store.type === "memory"
+    const failureKeys = countKeys ? await this.failedAttempts.keys() : null
+    const lockoutKeys = countKeys ? await this.lockouts.keys() : null
+    const countScope = (keys, scope) => (keys ? keys.filter((key) => key.startsWith(`${scope}:`)).length : null)
+
+    return {
+      activeChallenges: challengeStats.keys ?? null,
+      verifiedIPs: verificationStats.keys ?? null,
+      verificationMode: this.verificationMode,
+      challengeTypes: this.challengeTypes,
+      powDifficulty: this.powDifficulty,
+      audioAvailable: this.audioRenderer.isAvailable(),
+      challengeStats,
+      verificationStats,
+      attempts: {
+        ipsWithFailures: countScope(failureKeys, "ip"),
+        asnsWithFailures: countScope(failureKeys, "asn"),
+        lockedIPs: countScope(lockoutKeys, "ip"),
+        lockedASNs: countScope(lockoutKeys, "asn"),
+        limits: this.attemptLimits,
+      },
       difficulty: this.difficulty,
     }
   }
 
-  clearExpiredChallenges() {
-    // NodeCache handles expiration automatically
-    const stats = this.challengeCache.getStats()
+  async clearExpiredChallenges() {
+    // The store handles expiration automatically
+    const stats = await this.challengeCache.getStats()
     this.logger.debug(`Challenge cache stats: ${JSON.stringify(stats)}`)
   }
 
-  clearVerifiedIPs() {
-    this.verifiedIPs.flushAll()
+  async clearVerifiedIPs() {
+    await this.verifiedIPs.flush()
     this.logger.info("Cleared all verified IPs")
   }
 
-  destroy() {
-    this.challengeCache.flushAll()
-    this.verifiedIPs.flushAll()
+  async destroy() {
+    await this.challengeCache.flush()
+    await this.verifiedIPs.flush()
+    await this.failedAttempts.flush()
+    await this.lockouts.flush()
     this.logger.info("CAPTCHA Manager destroyed")
   }
 }
@@ -0,0 +1,68 @@
+const crypto = require("crypto")
+
+class SignedToken {
+  constructor(secrets) {
+    const keys = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean).map(String)
+    if (keys.length === 0) {
+      throw new Error("SignedToken requires at least one secret")
+    }
+
+    // The first key signs new tokens; the rest are still accepted so secrets can be rotated
+    this.keys = keys.map((secret) => ({
+      id: crypto.createHash("sha256").update(secret).digest("hex").slice(0, 8),
+      secret,
+    }))
+  }
+
+  sign(payload, ttlSeconds) {
+    const key = this.keys[0]
+    const body = {
+      ...payload,
+      kid: key.id,
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    }
+
+    const encoded = Buffer.from(JSON.stringify(body)).toString("base64url")
+    return `${encoded}.${this.hmac(key.secret, encoded)}`
+  }
+
+  verify(token) {
+    if (typeof token !== "string") {
+      return null
+    }
+
+    const [encoded, signature, extra] = token.split(".")
+    if (!encoded || !signature || extra !== undefined) {
+      return null
+    }
+
+    let payload
+    try {
+      payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"))
+    } catch {
+      return null
+    }
+
+    const candidates = this.keys.filter((key) => key.id === payload?.kid)
+    const valid = candidates.some((key) => this.safeEqual(this.hmac(key.secret, encoded), signature))
+
+    if (!valid || typeof payload.exp !== "number" || payload.exp * 1000 <= Date.now()) {
+      return null
+    }
+
+    return payload
+  }
+
+  hmac(secret, data) {
+    return crypto.createHmac("sha256", secret).update(data).digest("base64url")
+  }
+
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(a)
+    const bufferB = Buffer.from(b)
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+  }
+}
+
+module.exports = SignedToken
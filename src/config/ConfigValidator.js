@@ -1,3 +1,12 @@
+const { parseCIDR } = require("../utils/ipUtils")
+
+const RULE_ACTIONS = ["allow", "challenge", "block", "log"]
+const RULE_DIFFICULTIES = ["easy", "medium", "hard"]
+const RULE_MATCHERS = ["asn", "cidr", "country", "host", "path", "method", "user_agent", "headers"]
+const SITE_SETTINGS = ["upstream", "preserve_host", "asn", "captcha"]
+const UPSTREAM_STRATEGIES = ["round_robin", "least_connections", "weighted"]
+const SITE_CAPTCHA_SETTINGS = ["difficulty", "branding"]
+
 class ConfigValidator {
   static getSchema() {
     return {
@@ -8,13 +17,45 @@ class ConfigValidator {
           properties: {
             port: { type: "number", minimum: 1, maximum: 65535 },
             host: { type: "string" },
+            proxy_protocol: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean" },
+                header_timeout: { type: "number", minimum: 1, maximum: 60 },
+              },
+            },
           },
           required: ["port", "host"],
         },
         apache: {
           type: "object",
           properties: {
-            upstream: { type: "string", pattern: "^https?://.+" },
+            preserve_host: { type: "boolean" },
+            load_balancing: {
+              type: "object",
+              properties: {
+                strategy: { type: "string", enum: UPSTREAM_STRATEGIES },
+                retries: { type: "number", minimum: 0, maximum: 5 },
+              },
+            },
+            health_check: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean" },
+                path: { type: "string", pattern: "^/" },
+                interval: { type: "number", minimum: 1 },
+                timeout: { type: "number", minimum: 1 },
+                healthy_threshold: { type: "number", minimum: 1 },
+                unhealthy_threshold: { type: "number", minimum: 1 },
+              },
+            },
+            passive_health_check: {
+              type: "object",
+              properties: {
+                max_failures: { type: "number", minimum: 0 },
+                ejection_time: { type: "number", minimum: 1 },
+              },
+            },
           },
           required: ["upstream"],
         },
@@ -27,14 +68,17 @@ class ConfigValidator {
                 type: "object",
                 properties: {
                   url: { type: "string", format: "uri" },
-                  format: { type: "string", enum: ["json", "txt"] },
+                  format: { type: "string", enum: ["json", "txt", "netset"] },
                   refresh_interval: { type: "number", minimum: 300 },
+                  list: { type: "string", enum: ["blocked", "allowed"] },
+                  action: { type: "string", enum: ["captcha", "block", "log"] },
                 },
                 required: ["url", "format"],
               },
             },
             custom_list: { type: "string" },
             cache_ttl: { type: "number", minimum: 60 },
+            action: { type: "string", enum: ["captcha", "block", "log"] },
           },
         },
         captcha: {
@@ -43,16 +87,126 @@ class ConfigValidator {
             difficulty: { type: "string", enum: ["easy", "medium", "hard"] },
             expiry: { type: "number", minimum: 60, maximum: 3600 },
             verification_ttl: { type: "number", minimum: 300 },
+            verification_mode: { type: "string", enum: ["cookie", "ip", "both"] },
+            type: { type: "string", enum: ["math", "image", "word", "sequence", "pow", "audio"] },
+            types: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["type"],
+                properties: {
+                  type: { type: "string", enum: ["math", "image", "word", "sequence", "pow", "audio"] },
+                  weight: { type: "number", minimum: 0.01 },
+                },
+              },
+            },
+            width: { type: "number", minimum: 100, maximum: 600 },
+            height: { type: "number", minimum: 40, maximum: 300 },
+            noise: { type: "number", minimum: 0, maximum: 10 },
+            template: { type: "string" },
+            blocked_template: { type: "string" },
+            branding: {
+              type: "object",
+              properties: {
+                title: { type: "string" },
+                logo_url: { type: "string" },
+                primary_color: {
+                  type: "string",
+                  pattern: "^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\\([\\d\\s.,%]+\\))$",
+                },
+                secondary_color: {
+                  type: "string",
+                  pattern: "^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\\([\\d\\s.,%]+\\))$",
+                },
+                support_contact: { type: "string" },
+              },
+            },
+            attempts: {
+              type: "object",
+              properties: {
+                max_failures: { type: "number", minimum: 0 },
+                asn_max_failures: { type: "number", minimum: 0 },
+                window: { type: "number", minimum: 1 },
+                lockout: { type: "number", minimum: 1 },
+                escalate_after: { type: "number", minimum: 0 },
+              },
+            },
+            pow: {
+              type: "object",
+              properties: {
+                difficulty: { type: "number", minimum: 8, maximum: 28 },
+                fallback_type: { type: "string", enum: ["math", "image", "word", "sequence"] },
+              },
+            },
+            audio: {
+              type: "object",
+              properties: {
+                length: { type: "number", minimum: 4, maximum: 10 },
+                noise: { type: "number", minimum: 0, maximum: 0.5 },
+                samples_directory: { type: "string" },
+              },
+            },
+            color: { type: "boolean" },
+            cookie: {
+              type: "object",
+              properties: {
+                name: { type: "string" },
+                domain: { type: "string" },
+                same_site: { type: "string", enum: ["strict", "lax", "none"] },
+              },
+            },
           },
         },
         ip_resolution: {
           type: "object",
           properties: {
             maxmind_db: { type: "string" },
+            country_db: { type: "string" },
             fallback_api: { type: "string" },
             cache_ttl: { type: "number", minimum: 300 },
           },
         },
+        i18n: {
+          type: "object",
+          properties: {
+            directory: { type: "string" },
+            default_locale: { type: "string", pattern: "^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$" },
+          },
+        },
+        store: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["memory", "redis"] },
+            redis: {
+              type: "object",
+              properties: {
+                url: { type: "string", pattern: "^rediss?://.+" },
+                key_prefix: { type: "string" },
+              },
+            },
+          },
+        },
+        admin: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            auth_token: { type: "string" },
+          },
+        },
+        security: {
+          type: "object",
+          properties: {
+            forwarded_header: { type: "string", enum: ["x-forwarded-for", "forwarded"] },
+            client_ip_header: { type: "string", pattern: "^[A-Za-z0-9-]+$" },
+          },
+        },
+        protection: {
+          type: "object",
+          properties: {
+            html_only: { type: "boolean" },
+            session_ttl: { type: "number", minimum: 60, maximum: 86400 },
+          },
+        },
         logging: {
           type: "object",
           properties: {
@@ -131,13 +285,9 @@ class ConfigValidator {
   }
 
   static validateCustomRules(config, errors) {
-    // Validate Apache upstream URL
+    // Validate Apache upstream URLs
     if (config.apache?.upstream) {
-      try {
-        new URL(config.apache.upstream)
-      } catch {
-        errors.push("apache.upstream must be a valid URL")
-      }
+      errors.push(...this.validateUpstreams(config.apache.upstream, "apache.upstream"))
     }
 
     // Validate ASN source URLs
@@ -151,9 +301,197 @@ class ConfigValidator {
       })
     }
 
+    // Admin API must never run unauthenticated
+    if (config.admin?.enabled && !config.admin.auth_token) {
+      errors.push("admin.auth_token is required when admin.enabled is true")
+    }
+
+    if (config.access_rules !== undefined) {
+      errors.push(...this.validateAccessRules(config.access_rules))
+    }
+
+    if (config.sites !== undefined) {
+      errors.push(...this.validateSites(config.sites))
+    }
+
     // Validate file paths exist (if specified)
     // Note: This would require async validation in a real implementation
   }
+
+  /**
+   * Validate the access_rules section, returning a list of error messages
+   */
+  static validateAccessRules(accessRules) {
+    if (accessRules === null || accessRules === undefined) {
+      return []
+    }
+    if (typeof accessRules !== "object" || Array.isArray(accessRules)) {
+      return ["access_rules must be an object"]
+    }
+
+    const errors = []
+    const { default_action: defaultAction, rules = [] } = accessRules
+
+    if (defaultAction !== undefined && !RULE_ACTIONS.includes(defaultAction)) {
+      errors.push(`access_rules.default_action must be one of: ${RULE_ACTIONS.join(", ")}`)
+    }
+
+    if (!Array.isArray(rules)) {
+      errors.push("access_rules.rules must be a list")
+      return errors
+    }
+
+    rules.forEach((rule, index) => {
+      const path = `access_rules.rules[${index}]`
+      if (!rule || typeof rule !== "object") {
+        errors.push(`${path} must be an object`)
+        return
+      }
+
+      if (!RULE_ACTIONS.includes(rule.action)) {
+        errors.push(`${path}.action must be one of: ${RULE_ACTIONS.join(", ")}`)
+      }
+      if (rule.difficulty !== undefined) {
+        if (rule.action !== "challenge") {
+          errors.push(`${path}.difficulty only applies to the challenge action`)
+        } else if (!RULE_DIFFICULTIES.includes(rule.difficulty)) {
+          errors.push(`${path}.difficulty must be one of: ${RULE_DIFFICULTIES.join(", ")}`)
+        }
+      }
+
+      const match = rule.match
+      if (!match || typeof match !== "object" || Object.keys(match).length === 0) {
+        // A rule matching everything would shadow every rule after it; that is what default_action is for
+        errors.push(`${path}.match must set at least one of: ${RULE_MATCHERS.join(", ")}`)
+        return
+      }
+
+      for (const [field, value] of Object.entries(match)) {
+        const error = this.validateRuleMatcher(field, value)
+        if (error) {
+          errors.push(`${path}.match.${field} ${error}`)
+        }
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * Validate the sites section, returning a list of error messages
+   */
+  static validateSites(sites) {
+    if (sites === null || sites === undefined) {
+      return []
+    }
+    if (typeof sites !== "object" || Array.isArray(sites)) {
+      return ["sites must map host names to site settings"]
+    }
+
+    const errors = []
+    const schema = this.getSchema().properties
+
+    for (const [host, site] of Object.entries(sites)) {
+      const path = `sites["${host}"]`
+      if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(host)) {
+        errors.push(`${path} must be keyed by a host name, optionally starting with "*."`)
+      }
+      if (!site || typeof site !== "object" || Array.isArray(site)) {
+        errors.push(`${path} must be an object`)
+        continue
+      }
+
+      for (const key of Object.keys(site)) {
+        if (!SITE_SETTINGS.includes(key)) {
+          errors.push(`${path}.${key} is not a per-site setting (${SITE_SETTINGS.join(", ")})`)
+        }
+      }
+      for (const key of Object.keys(site.captcha || {})) {
+        if (!SITE_CAPTCHA_SETTINGS.includes(key)) {
+          errors.push(`${path}.captcha.${key} is not a per-site setting (${SITE_CAPTCHA_SETTINGS.join(", ")})`)
+        }
+      }
+
+      if (site.upstream !== undefined) {
+        errors.push(...this.validateUpstreams(site.upstream, `${path}.upstream`))
+      }
+      if (site.preserve_host !== undefined && typeof site.preserve_host !== "boolean") {
+        errors.push(`${path}.preserve_host must be true or false`)
+      }
+      if (site.asn !== undefined) {
+        this.validateValue(site.asn, schema.asn, `${path}.asn`, errors)
+      }
+      if (site.captcha !== undefined) {
+        this.validateValue(site.captcha, schema.captcha, `${path}.captcha`, errors)
+      }
+    }
+
+    return errors
+  }
+
+  /**
+   * Validate an upstream setting: one URL, comma-separated URLs, or a list of URLs or { url, weight } entries
+   */
+  static validateUpstreams(upstream, path) {
+    const entries = typeof upstream === "string" ? upstream.split(",") : upstream
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return [`${path} must be a URL or a list of upstreams`]
+    }
+
+    const isURL = (url) => {
+      try {
+        return /^https?:$/.test(new URL(url.trim()).protocol)
+      } catch {
+        return false
+      }
+    }
+    const errors = []
+    entries.forEach((entry, index) => {
+      const url = typeof entry === "string" ? entry : entry?.url
+      if (!isURL(url)) {
+        errors.push(`${path}[${index}] must be an http(s) URL`)
+      }
+      if (entry?.weight !== undefined && !(Number.isInteger(entry.weight) && entry.weight > 0)) {
+        errors.push(`${path}[${index}].weight must be a positive integer`)
+      }
+    })
+    return errors
+  }
+
+  static validateRuleMatcher(field, value) {
+    const values = Array.isArray(value) ? value : [value]
+    const isRegExp = (pattern) => {
+      try {
+        new RegExp(pattern)
+        return typeof pattern === "string"
+      } catch {
+        return false
+      }
+    }
+
+    switch (field) {
+      case "asn":
+        return values.every((asn) => /^(AS)?\d+$/i.test(String(asn))) ? null : "must be ASNs like 12345 or AS12345"
+      case "cidr":
+        return values.every((cidr) => parseCIDR(cidr)) ? null : "must be IP addresses or CIDR ranges"
+      case "country":
+        return values.every((country) => /^[A-Za-z]{2}$/.test(country)) ? null : "must be two-letter country codes"
+      case "host":
+      case "path":
+        return values.every((glob) => typeof glob === "string" && glob) ? null : "must be glob patterns"
+      case "method":
+        return values.every((method) => /^[A-Za-z]+$/.test(method)) ? null : "must be HTTP methods"
+      case "user_agent":
+        return isRegExp(value) ? null : "must be a regular expression"
+      case "headers":
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          return "must map header names to regular expressions"
+        }
+        return Object.values(value).every(isRegExp) ? null : "values must be regular expressions"
+      default:
+        return `is not a known matcher (${RULE_MATCHERS.join(", ")})`
+    }
+  }
 }
 
 module.exports = ConfigValidator
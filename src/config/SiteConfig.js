@@ -0,0 +1,32 @@
+// Top-level settings a site sets under a shorter name of its own
+const SITE_ALIASES = { "apache.upstream": "upstream", "apache.preserve_host": "preserve_host" }
+
+/**
+ * Read-only view of the configuration for one entry of the sites section.
+ * Settings the site defines replace the top-level ones; everything else falls through to them.
+ */
+class SiteConfig {
+  constructor(config, host, settings) {
+    this.config = config
+    this.host = host
+    this.settings = settings
+  }
+
+  get(key, defaultValue = null) {
+    const value = key in SITE_ALIASES ? this.settings[SITE_ALIASES[key]] : this.lookup(key)
+    return value === undefined ? this.config.get(key, defaultValue) : value
+  }
+
+  lookup(key) {
+    let value = this.settings
+    for (const k of key.split(".")) {
+      if (!value || typeof value !== "object" || !(k in value)) {
+        return undefined
+      }
+      value = value[k]
+    }
+    return value
+  }
+}
+
+module.exports = SiteConfig
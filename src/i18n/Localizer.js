@@ -0,0 +1,143 @@
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_DIRECTORY = path.join(__dirname, "../../locales")
+
+class Localizer {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.directory = path.resolve(config.get("i18n.directory") || DEFAULT_DIRECTORY)
+    this.defaultLocale = this.normalizeTag(config.get("i18n.default_locale", "en"))
+    this.catalogs = new Map()
+
+    this.loadCatalogs()
+  }
+
+  loadCatalogs() {
+    let files = []
+    try {
+      files = fs.readdirSync(this.directory).filter((file) => file.endsWith(".json"))
+    } catch (error) {
+      this.logger.error(`Failed to read locale directory ${this.directory}: ${error.message}`)
+    }
+
+    const raw = new Map()
+    for (const file of files) {
+      const locale = this.normalizeTag(path.basename(file, ".json"))
+      try {
+        const catalog = JSON.parse(fs.readFileSync(path.join(this.directory, file), "utf8"))
+        if (!catalog || typeof catalog !== "object" || Array.isArray(catalog)) {
+          throw new Error("catalog must be a JSON object")
+        }
+        raw.set(locale, catalog)
+      } catch (error) {
+        this.logger.warn(`Ignoring locale catalog ${file}: ${error.message}`)
+      }
+    }
+
+    if (!raw.has(this.defaultLocale)) {
+      this.logger.warn(`No catalog for default locale "${this.defaultLocale}" in ${this.directory}`)
+    }
+
+    // Missing messages fall back to the default locale, so partial translations are fine
+    const fallback = raw.get(this.defaultLocale) || {}
+    for (const [locale, catalog] of raw) {
+      this.catalogs.set(locale, this.mergeMessages(fallback, catalog))
+    }
+    if (!this.catalogs.has(this.defaultLocale)) {
+      this.catalogs.set(this.defaultLocale, fallback)
+    }
+
+    this.logger.info(`Loaded ${raw.size} locale catalogs from ${this.directory}`)
+  }
+
+  mergeMessages(base, overrides) {
+    const merged = { ...base }
+    for (const [key, value] of Object.entries(overrides)) {
+      const isObject = value && typeof value === "object" && !Array.isArray(value)
+      merged[key] =
+        isObject && base[key] && typeof base[key] === "object" ? this.mergeMessages(base[key], value) : value
+    }
+    return merged
+  }
+
+  normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/_/g, "-")
+  }
+
+  matchLocale(tag) {
+    if (typeof tag !== "string" || !tag.trim() || tag.trim() === "*") {
+      return null
+    }
+
+    const normalized = this.normalizeTag(tag)
+    if (this.catalogs.has(normalized)) {
+      return normalized
+    }
+
+    // "de-AT" falls back to "de"
+    const primary = normalized.split("-")[0]
+    return this.catalogs.has(primary) ? primary : null
+  }
+
+  parseAcceptLanguage(header) {
+    if (!header || typeof header !== "string") {
+      return []
+    }
+
+    return header
+      .split(",")
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(";")
+        const qParam = params.find((param) => param.trim().startsWith("q="))
+        const q = qParam ? Number.parseFloat(qParam.trim().slice(2)) : 1
+        return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index }
+      })
+      .filter((entry) => entry.tag && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+  }
+
+  resolveLocale(req) {
+    const requested = this.matchLocale(req.query?.lang)
+    if (requested) {
+      return requested
+    }
+
+    for (const { tag } of this.parseAcceptLanguage(req.headers?.["accept-language"])) {
+      const match = this.matchLocale(tag)
+      if (match) {
+        return match
+      }
+    }
+
+    return this.defaultLocale
+  }
+
+  hasLocale(locale) {
+    return typeof locale === "string" && this.catalogs.has(locale)
+  }
+
+  getMessages(locale) {
+    return this.catalogs.get(locale) || this.catalogs.get(this.defaultLocale) || {}
+  }
+
+  getDirection(locale) {
+    return this.getMessages(locale).meta?.direction === "rtl" ? "rtl" : "ltr"
+  }
+
+  t(locale, key, params = {}) {
+    const message = key.split(".").reduce((value, part) => value?.[part], this.getMessages(locale))
+    if (typeof message !== "string") {
+      return key
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+  }
+
+  getLocales() {
+    return Array.from(this.catalogs.keys())
+  }
+}
+
+module.exports = Localizer
@@ -1,18 +1,22 @@
 const maxmind = require("maxmind")
 const axios = require("axios")
-const NodeCache = require("node-cache")
 const fs = require("fs").promises
 const path = require("path")
-const { isValidIP, isPrivateIP } = require("../utils/ipUtils")
+const MemoryStore = require("../store/MemoryStore")
+const { isSpecialPurposeIP, normalizeIP } = require("../utils/ipUtils")
 
 class IPResolver {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     this.config = config
     this.logger = logger
-    this.cache = new NodeCache({ stdTTL: config.get("ip_resolution.cache_ttl", 3600) })
+    this.metrics = options.metrics || null
+    this.store = options.store || new MemoryStore()
+    this.cache = this.store.createCache("ip", { ttl: config.get("ip_resolution.cache_ttl", 3600) })
     this.maxmindReader = null
     this.fallbackAPI = config.get("ip_resolution.fallback_api")
     this.maxmindDbPath = config.get("ip_resolution.maxmind_db")
+    this.countryReader = null
+    this.countryDbPath = config.get("ip_resolution.country_db")
   }
 
   async initialize() {
@@ -22,6 +26,9 @@ class IPResolver {
       // Try to load MaxMind database
       await this.loadMaxMindDatabase()
 
+      // Country lookups are optional and only needed for country lists
+      await this.loadCountryDatabase()
+
       // Test fallback API if configured
       if (this.fallbackAPI) {
         await this.testFallbackAPI()
@@ -57,6 +64,26 @@ class IPResolver {
     }
   }
 
+  async loadCountryDatabase() {
+    if (!this.countryDbPath) {
+      return
+    }
+
+    try {
+      await fs.access(this.countryDbPath)
+
+      // GeoLite2-Country and GeoLite2-City share the country fields
+      this.countryReader = await maxmind.open(this.countryDbPath)
+      this.logger.info(`MaxMind country database loaded from: ${this.countryDbPath}`)
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.logger.warn(`MaxMind country database not found: ${this.countryDbPath}`)
+      } else {
+        this.logger.error(`Failed to load MaxMind country database: ${error.message}`)
+      }
+    }
+  }
+
   async testFallbackAPI() {
     try {
       // Test with a known IP (Google DNS)
@@ -80,22 +107,24 @@ class IPResolver {
     }
   }
 
-  async resolveIP(ip) {
-    if (!isValidIP(ip)) {
-      throw new Error(`Invalid IP address: ${ip}`)
+  async resolveIP(input) {
+    // Normalized so "::ffff:1.2.3.4" and "1.2.3.4" share a cache entry
+    const ip = normalizeIP(input)
+    if (!ip) {
+      throw new Error(`Invalid IP address: ${input}`)
     }
 
-    // Skip private IPs
-    if (isPrivateIP(ip)) {
+    // Special-purpose addresses (private, CGNAT, multicast, documentation...) have no ASN
+    if (isSpecialPurposeIP(ip)) {
       return null
     }
 
     // Check cache first
     const cacheKey = `ip_resolve_${ip}`
-    const cached = this.cache.get(cacheKey)
+    const cached = await this.cache.get(cacheKey)
     if (cached) {
       this.logger.debug(`Cache hit for IP: ${ip}`)
-      return cached
+      return { ...cached, cached: true }
     }
 
     let asnInfo = null
@@ -103,31 +132,63 @@ class IPResolver {
     try {
       // Try MaxMind database first
       if (this.maxmindReader) {
-        asnInfo = await this.resolveWithMaxMind(ip)
+        asnInfo = await this.timeResolution("maxmind", () => this.resolveWithMaxMind(ip))
       }
 
       // Fallback to API if MaxMind failed
       if (!asnInfo && this.fallbackAPI) {
-        asnInfo = await this.resolveWithFallbackAPI(ip)
+        asnInfo = await this.timeResolution("api", () => this.resolveWithFallbackAPI(ip))
       }
 
       // Cache the result (even if null)
       if (asnInfo) {
-        this.cache.set(cacheKey, asnInfo)
+        // The country database is preferred over whatever country the API reported
+        asnInfo.country = this.lookupCountry(ip) || asnInfo.country || null
+        asnInfo.resolvedAt = new Date().toISOString()
+        await this.cache.set(cacheKey, asnInfo)
         this.logger.debug(`Resolved IP ${ip} to ASN ${asnInfo.asn} (${asnInfo.org})`)
       } else {
         // Cache negative results for shorter time
-        this.cache.set(cacheKey, null, 300) // 5 minutes
+        await this.cache.set(cacheKey, null, 300) // 5 minutes
         this.logger.debug(`Could not resolve ASN for IP: ${ip}`)
+        return null
       }
 
-      return asnInfo
+      return { ...asnInfo, cached: false }
     } catch (error) {
       this.logger.error(`Error resolving IP ${ip}:`, error.message)
       return null
     }
   }
 
+  async timeResolution(source, resolve) {
+    const start = process.hrtime.bigint()
+    try {
+      return await resolve()
+    } finally {
+      this.metrics?.observeResolution(source, Number(process.hrtime.bigint() - start) / 1e9)
+    }
+  }
+
+  /**
+   * Look up the ISO 3166-1 alpha-2 country code of an IP in the country database, or null
+   */
+  lookupCountry(ip) {
+    if (!this.countryReader) {
+      return null
+    }
+
+    try {
+      const result = this.countryReader.get(normalizeIP(ip) || ip)
+      // Fall back to the registered country for anycast and satellite ranges without a located country
+      const code = result?.country?.iso_code || result?.registered_country?.iso_code
+      return code ? code.toUpperCase() : null
+    } catch (error) {
+      this.logger.debug(`MaxMind country lookup failed for ${ip}: ${error.message}`)
+      return null
+    }
+  }
+
   async resolveWithMaxMind(ip) {
     try {
       const result = this.maxmindReader.get(ip)
@@ -193,9 +254,12 @@ class IPResolver {
       }
 
       if (asn) {
+        // ipapi.co and most others use country_code, ip-api.com uses countryCode
+        const country = data.country_code || data.countryCode
         return {
           asn: asn,
           org: org,
+          country: typeof country === "string" && /^[a-z]{2}$/i.test(country) ? country.toUpperCase() : null,
           source: "api",
         }
       }
@@ -222,25 +286,27 @@ class IPResolver {
     return results
   }
 
-  getStats() {
+  async getStats() {
     return {
-      cacheStats: this.cache.getStats(),
+      cacheStats: await this.cache.getStats(),
       maxmindAvailable: !!this.maxmindReader,
+      countryDatabaseAvailable: !!this.countryReader,
       fallbackAPIConfigured: !!this.fallbackAPI,
     }
   }
 
-  clearCache() {
-    this.cache.flushAll()
+  async clearCache() {
+    await this.cache.flush()
     this.logger.info("IP resolution cache cleared")
   }
 
-  destroy() {
-    this.cache.flushAll()
+  async destroy() {
+    await this.cache.flush()
     if (this.maxmindReader) {
       // MaxMind reader doesn't need explicit cleanup
       this.maxmindReader = null
     }
+    this.countryReader = null
     this.logger.info("IP Resolver destroyed")
   }
 }
@@ -0,0 +1,98 @@
+const net = require("net")
+const { ipToBigInt, normalizeIP, parseCIDR } = require("../utils/ipUtils")
+
+const ROOTS = { 4: 0, 6: 1 }
+
+// Split an address into 32-bit words so bits can be read without BigInt math
+function toWords(value, version) {
+  const words = []
+  for (let shift = version === 4 ? 0 : 96; shift >= 0; shift -= 32) {
+    words.push(Number((value >> BigInt(shift)) & 0xffffffffn))
+  }
+  return words
+}
+
+function bitAt(words, index) {
+  return (words[index >>> 5] >>> (31 - (index & 31))) & 1
+}
+
+/**
+ * Binary trie of IPv4/IPv6 prefixes with longest-prefix lookups.
+ * A lookup walks at most 32 (IPv4) or 128 (IPv6) nodes however many prefixes are stored,
+ * and nodes live in a flat typed array so large netsets stay compact.
+ */
+class PrefixTrie {
+  constructor() {
+    // children[node * 2 + bit] is the child node index, 0 meaning none (node 0 is a root, never a child)
+    this.children = new Int32Array(1024)
+    this.nodeCount = 2
+    this.entries = new Map()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * Store an entry under a CIDR range or single address. Returns false if the range is invalid.
+   * An entry already stored under the same range is replaced.
+   */
+  insert(cidr, entry) {
+    const range = parseCIDR(cidr)
+    if (!range) {
+      return false
+    }
+
+    const words = toWords(range.network, range.version)
+    let node = ROOTS[range.version]
+    for (let i = 0; i < range.prefix; i++) {
+      const slot = node * 2 + bitAt(words, i)
+      if (this.children[slot] === 0) {
+        // Allocate first: growing replaces this.children
+        const child = this.allocateNode()
+        this.children[slot] = child
+      }
+      node = this.children[slot]
+    }
+
+    this.entries.set(node, { ...entry, cidr: String(cidr).trim() })
+    return true
+  }
+
+  allocateNode() {
+    if ((this.nodeCount + 1) * 2 > this.children.length) {
+      const grown = new Int32Array(this.children.length * 2)
+      grown.set(this.children)
+      this.children = grown
+    }
+    return this.nodeCount++
+  }
+
+  /**
+   * Find the entry of the most specific range containing an address, or null
+   */
+  lookup(ip) {
+    const address = normalizeIP(ip)
+    if (!address || this.entries.size === 0) {
+      return null
+    }
+
+    const version = net.isIPv4(address) ? 4 : 6
+    const bits = version === 4 ? 32 : 128
+    const words = toWords(ipToBigInt(address), version)
+
+    let node = ROOTS[version]
+    let match = this.entries.get(node) || null
+    for (let i = 0; i < bits; i++) {
+      node = this.children[node * 2 + bitAt(words, i)]
+      if (node === 0) {
+        break
+      }
+      match = this.entries.get(node) || match
+    }
+
+    return match
+  }
+}
+
+module.exports = PrefixTrie
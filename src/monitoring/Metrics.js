@@ -0,0 +1,94 @@
+const client = require("prom-client")
+
+class Metrics {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.registry = new client.Registry()
+    this.prefix = config.get("monitoring.metrics.prefix", "asn_proxy_")
+    this.caches = new Map()
+
+    client.collectDefaultMetrics({ register: this.registry, prefix: this.prefix })
+
+    this.decisions = new client.Counter({
+      name: `${this.prefix}decisions_total`,
+      help: "Access decisions by action and ASN list bucket",
+      labelNames: ["action", "asn_bucket"],
+      registers: [this.registry],
+    })
+
+    this.resolutionDuration = new client.Histogram({
+      name: `${this.prefix}asn_resolution_duration_seconds`,
+      help: "Latency of IP to ASN resolution by source",
+      labelNames: ["source"],
+      buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [this.registry],
+    })
+
+    this.captchaEvents = new client.Counter({
+      name: `${this.prefix}captcha_events_total`,
+      help: "CAPTCHA challenges generated, solved, failed and expired",
+      labelNames: ["event"],
+      registers: [this.registry],
+    })
+
+    this.listRefreshes = new client.Counter({
+      name: `${this.prefix}asn_list_refresh_total`,
+      help: "Remote ASN list refreshes by source and result",
+      labelNames: ["source", "result"],
+      registers: [this.registry],
+    })
+
+    // Cache gauges are read from the store stats at scrape time; fields a store does not report are left out
+    const caches = this.caches
+    const cacheGauge = (name, help, field) =>
+      new client.Gauge({
+        name: `${this.prefix}${name}`,
+        help,
+        labelNames: ["cache"],
+        registers: [this.registry],
+        async collect() {
+          for (const [cacheName, cache] of caches) {
+            const value = (await cache.getStats())[field]
+            if (typeof value === "number") {
+              this.set({ cache: cacheName }, value)
+            }
+          }
+        },
+      })
+
+    this.cacheHits = cacheGauge("cache_hits", "Cache hits since startup", "hits")
+    this.cacheMisses = cacheGauge("cache_misses", "Cache misses since startup", "misses")
+    this.cacheKeys = cacheGauge("cache_keys", "Entries currently held in the cache", "keys")
+  }
+
+  registerCache(name, cache) {
+    this.caches.set(name, cache)
+  }
+
+  recordDecision(action, asnBucket) {
+    this.decisions.inc({ action, asn_bucket: asnBucket })
+  }
+
+  observeResolution(source, seconds) {
+    this.resolutionDuration.observe({ source }, seconds)
+  }
+
+  recordCaptcha(event) {
+    this.captchaEvents.inc({ event })
+  }
+
+  recordListRefresh(source, success) {
+    this.listRefreshes.inc({ source, result: success ? "success" : "failure" })
+  }
+
+  get contentType() {
+    return this.registry.contentType
+  }
+
+  async render() {
+    return this.registry.metrics()
+  }
+}
+
+module.exports = Metrics
@@ -0,0 +1,236 @@
+const net = require("net")
+const { isIPInRanges, normalizeIP, parseCIDR } = require("../utils/ipUtils")
+
+const V1_PREFIX = Buffer.from("PROXY ")
+const V1_MAX_LENGTH = 107
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a])
+const V2_HEADER_LENGTH = 16
+
+function formatIPv6(bytes) {
+  // IPv4-mapped addresses are reported in their IPv4 form, like everywhere else
+  if (bytes.subarray(0, 10).every((byte) => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return Array.from(bytes.subarray(12)).join(".")
+  }
+
+  const groups = []
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16))
+  }
+
+  // Compress the longest run of zero groups, as in RFC 5952
+  let bestStart = -1
+  let bestLength = 1
+  for (let i = 0; i < 8; i++) {
+    let length = 0
+    while (i + length < 8 && groups[i + length] === "0") length++
+    if (length > bestLength) {
+      bestStart = i
+      bestLength = length
+    }
+  }
+
+  if (bestStart === -1) {
+    return groups.join(":")
+  }
+  return `${groups.slice(0, bestStart).join(":")}::${groups.slice(bestStart + bestLength).join(":")}`
+}
+
+class ProxyProtocolListener {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.headerTimeout = config.get("server.proxy_protocol.header_timeout", 5) * 1000
+    this.trustedSenders = this.loadTrustedSenders()
+    this.stats = { accepted: 0, rejected: 0 }
+  }
+
+  loadTrustedSenders() {
+    let entries = this.config.get("server.proxy_protocol.trusted_senders", [])
+    if (typeof entries === "string") {
+      entries = entries.split(",")
+    }
+
+    const senders = []
+    for (const entry of entries) {
+      const range = parseCIDR(entry)
+      if (range) {
+        senders.push(range)
+      } else {
+        this.logger.warn(`Ignoring invalid server.proxy_protocol.trusted_senders entry: ${entry}`)
+      }
+    }
+
+    if (senders.length === 0) {
+      this.logger.warn("PROXY protocol is enabled without trusted senders, every connection will be rejected")
+    }
+    return senders
+  }
+
+  /**
+   * Wrap an HTTP server in a TCP server that strips the PROXY protocol header from each connection
+   */
+  createServer(httpServer) {
+    return net.createServer((socket) => this.handleConnection(socket, httpServer))
+  }
+
+  handleConnection(socket, httpServer) {
+    const peer = normalizeIP(socket.remoteAddress)
+
+    // Anyone who can reach the port directly could otherwise claim any source address
+    if (!isIPInRanges(peer, this.trustedSenders)) {
+      this.reject(socket, `connection from untrusted sender ${peer}`)
+      return
+    }
+
+    let buffer = Buffer.alloc(0)
+
+    const cleanup = () => {
+      clearTimeout(timer)
+      socket.removeListener("data", onData)
+      socket.removeListener("error", onError)
+    }
+    const onError = (error) => {
+      cleanup()
+      this.logger.debug(`PROXY protocol connection from ${peer} failed: ${error.message}`)
+    }
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+
+      let header
+      try {
+        header = ProxyProtocolListener.parseHeader(buffer)
+      } catch (error) {
+        cleanup()
+        this.reject(socket, `invalid header from ${peer}: ${error.message}`)
+        return
+      }
+      if (!header) {
+        return
+      }
+
+      cleanup()
+      socket.pause()
+      // LOCAL connections (load balancer health checks) keep the real peer address
+      if (header.sourceAddress) {
+        socket.proxyProtocol = header
+      }
+      if (buffer.length > header.length) {
+        socket.unshift(buffer.subarray(header.length))
+      }
+
+      this.stats.accepted++
+      httpServer.emit("connection", socket)
+      socket.resume()
+    }
+    const timer = setTimeout(() => {
+      cleanup()
+      this.reject(socket, `no header from ${peer} within ${this.headerTimeout}ms`)
+    }, this.headerTimeout)
+
+    socket.on("data", onData)
+    socket.on("error", onError)
+  }
+
+  reject(socket, reason) {
+    this.stats.rejected++
+    this.logger.warn(`Rejected PROXY protocol ${reason}`)
+    socket.destroy()
+  }
+
+  /**
+   * Parse a PROXY protocol v1 or v2 header at the start of a buffer.
+   * Returns null while more bytes are needed and throws if the header is malformed.
+   */
+  static parseHeader(buffer) {
+    const v2Prefix = Math.min(buffer.length, V2_SIGNATURE.length)
+    if (buffer.subarray(0, v2Prefix).equals(V2_SIGNATURE.subarray(0, v2Prefix))) {
+      return buffer.length < V2_HEADER_LENGTH ? null : ProxyProtocolListener.parseV2(buffer)
+    }
+
+    const v1Prefix = Math.min(buffer.length, V1_PREFIX.length)
+    if (buffer.subarray(0, v1Prefix).equals(V1_PREFIX.subarray(0, v1Prefix))) {
+      return ProxyProtocolListener.parseV1(buffer)
+    }
+
+    throw new Error("missing PROXY protocol signature")
+  }
+
+  static parseV1(buffer) {
+    const end = buffer.indexOf("\r\n")
+    if (end === -1 ? buffer.length >= V1_MAX_LENGTH : end + 2 > V1_MAX_LENGTH) {
+      throw new Error("v1 header too long")
+    }
+    if (end === -1) {
+      return null
+    }
+
+    const [, family, source, destination, sourcePort, destinationPort, ...rest] = buffer
+      .toString("ascii", 0, end)
+      .split(" ")
+    const length = end + 2
+
+    if (family === "UNKNOWN") {
+      return { version: 1, length }
+    }
+
+    const isValidAddress = family === "TCP4" ? net.isIPv4 : family === "TCP6" ? net.isIPv6 : null
+    const isValidPort = (port) => /^\d{1,5}$/.test(port) && Number(port) <= 65535
+    if (
+      !isValidAddress ||
+      rest.length > 0 ||
+      !isValidAddress(source) ||
+      !isValidAddress(destination) ||
+      !isValidPort(sourcePort) ||
+      !isValidPort(destinationPort)
+    ) {
+      throw new Error("malformed v1 header")
+    }
+
+    return {
+      version: 1,
+      length,
+      sourceAddress: normalizeIP(source),
+      sourcePort: Number(sourcePort),
+      destinationAddress: normalizeIP(destination),
+      destinationPort: Number(destinationPort),
+    }
+  }
+
+  static parseV2(buffer) {
+    const version = buffer[12] >> 4
+    const command = buffer[12] & 0x0f
+    if (version !== 2 || command > 1) {
+      throw new Error("unsupported v2 version or command")
+    }
+
+    const length = V2_HEADER_LENGTH + buffer.readUInt16BE(14)
+    if (buffer.length < length) {
+      return null
+    }
+
+    const addressFamily = buffer[13] >> 4
+    const body = buffer.subarray(V2_HEADER_LENGTH, length)
+
+    // LOCAL, and PROXY with an unspecified or UNIX family, carry no usable address
+    if (command === 0 || (addressFamily !== 1 && addressFamily !== 2)) {
+      return { version: 2, length }
+    }
+
+    const addressLength = addressFamily === 1 ? 4 : 16
+    if (body.length < addressLength * 2 + 4) {
+      throw new Error("v2 address block too short")
+    }
+
+    const format = (bytes) => (addressFamily === 1 ? Array.from(bytes).join(".") : formatIPv6(bytes))
+    return {
+      version: 2,
+      length,
+      sourceAddress: format(body.subarray(0, addressLength)),
+      sourcePort: body.readUInt16BE(addressLength * 2),
+      destinationAddress: format(body.subarray(addressLength, addressLength * 2)),
+      destinationPort: body.readUInt16BE(addressLength * 2 + 2),
+    }
+  }
+}
+
+module.exports = ProxyProtocolListener
@@ -0,0 +1,98 @@
+const ASNManager = require("../asn/ASNManager")
+const SiteConfig = require("../config/SiteConfig")
+const UpstreamPool = require("./UpstreamPool")
+const { globToRegExp } = require("../utils/pathUtils")
+
+/**
+ * Per-host policies from the sites config section, keyed by Host header.
+ * Each site can set its own upstream, ASN lists and action, and CAPTCHA difficulty and branding;
+ * hosts no site matches get the top-level settings.
+ */
+class SiteRegistry {
+  constructor(config, logger, options = {}) {
+    this.config = config
+    this.logger = logger
+    this.options = options
+    this.defaultSite = this.createSite("default", config, options.asnManager, options.upstreams)
+
+    // Exact host names are tried before wildcards, otherwise in config order
+    this.sites = Object.entries(config.get("sites") || {})
+      .map(([host, settings]) => {
+        const siteConfig = new SiteConfig(config, host, settings)
+        // Only sites that change where the lists come from fetch their own; the rest share the top-level lists
+        // and just read their own action through the site config
+        const ownLists = settings.asn && ("sources" in settings.asn || "custom_list" in settings.asn)
+        const asnManager = ownLists
+          ? new ASNManager(siteConfig, logger, { ...options, cacheName: `asn:${host}` })
+          : options.asnManager
+        const upstreams = settings.upstream ? new UpstreamPool(siteConfig, logger) : options.upstreams
+        return this.createSite(host, siteConfig, asnManager, upstreams)
+      })
+      .sort((a, b) => Number(a.host.includes("*")) - Number(b.host.includes("*")))
+  }
+
+  createSite(host, siteConfig, asnManager, upstreams) {
+    return {
+      host,
+      pattern: globToRegExp(host.toLowerCase(), "."),
+      config: siteConfig,
+      upstreams,
+      ownUpstreams: upstreams !== this.options.upstreams,
+      asnManager,
+      ownASNLists: asnManager !== this.options.asnManager,
+      difficulty: siteConfig.get("captcha.difficulty", "medium"),
+      branding: this.options.captchaManager.loadBranding(siteConfig),
+    }
+  }
+
+  async initialize() {
+    for (const site of this.sites) {
+      if (site.ownASNLists) {
+        this.logger.info(`Loading ASN lists for site ${site.host}`)
+        await site.asnManager.initialize()
+      }
+      if (site.ownUpstreams) {
+        await site.upstreams.initialize()
+      }
+    }
+
+    if (this.sites.length > 0) {
+      this.logger.info(`Serving ${this.sites.length} sites: ${this.sites.map((site) => site.host).join(", ")}`)
+    }
+  }
+
+  /**
+   * The site for a host name (without the port), or the default site
+   */
+  match(host) {
+    const name = (host || "").toLowerCase()
+    return this.sites.find((site) => site.pattern.test(name)) || this.defaultSite
+  }
+
+  async getStats() {
+    const stats = []
+    for (const site of [...this.sites, this.defaultSite]) {
+      stats.push({
+        host: site.host,
+        upstreams: site.ownUpstreams || site === this.defaultSite ? site.upstreams.getStats() : "default",
+        action: site.config.get("asn.action", "captcha"),
+        difficulty: site.difficulty,
+        asnLists: site.ownASNLists ? await site.asnManager.getStats() : "default",
+      })
+    }
+    return stats
+  }
+
+  async destroy() {
+    for (const site of this.sites) {
+      if (site.ownASNLists) {
+        await site.asnManager.destroy()
+      }
+      if (site.ownUpstreams) {
+        site.upstreams.destroy()
+      }
+    }
+  }
+}
+
+module.exports = SiteRegistry
@@ -0,0 +1,209 @@
+const axios = require("axios")
+
+/**
+ * Backends for apache.upstream, which takes one URL or a list of them (strings or { url, weight }).
+ * Picks a backend per request, and takes backends out of rotation when active health checks fail
+ * or when connections to them keep failing.
+ */
+class UpstreamPool {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.backends = UpstreamPool.parseBackends(config.get("apache.upstream")).map((backend) => ({
+      ...backend,
+      healthy: true,
+      ejectedUntil: 0,
+      active: 0,
+      requests: 0,
+      failures: 0,
+      // Consecutive results, for the health check thresholds and passive ejection
+      checkSuccesses: 0,
+      checkFailures: 0,
+      connectionFailures: 0,
+      currentWeight: 0,
+      lastCheck: null,
+      lastError: null,
+    }))
+    this.strategy = config.get("apache.load_balancing.strategy", "round_robin")
+    this.retries = config.get("apache.load_balancing.retries", 1)
+    this.healthCheck = {
+      enabled: config.get("apache.health_check.enabled", false),
+      path: config.get("apache.health_check.path", "/"),
+      interval: config.get("apache.health_check.interval", 10),
+      timeout: config.get("apache.health_check.timeout", 5),
+      healthyThreshold: config.get("apache.health_check.healthy_threshold", 2),
+      unhealthyThreshold: config.get("apache.health_check.unhealthy_threshold", 3),
+    }
+    this.ejection = {
+      maxFailures: config.get("apache.passive_health_check.max_failures", 3),
+      time: config.get("apache.passive_health_check.ejection_time", 30),
+    }
+    this.cursor = 0
+    this.checkInterval = null
+  }
+
+  static parseBackends(upstream) {
+    const entries = typeof upstream === "string" ? upstream.split(",") : upstream || []
+    return entries.map((entry) =>
+      typeof entry === "string" ? { url: entry.trim(), weight: 1 } : { url: entry.url, weight: entry.weight || 1 },
+    )
+  }
+
+  async initialize() {
+    if (!this.healthCheck.enabled) {
+      return
+    }
+
+    await this.runHealthChecks()
+    this.checkInterval = setInterval(() => this.runHealthChecks(), this.healthCheck.interval * 1000)
+  }
+
+  isAvailable(backend, now = Date.now()) {
+    return backend.healthy && backend.ejectedUntil <= now
+  }
+
+  /**
+   * Pick a backend, skipping the ones in exclude (already tried for this request).
+   * Returns null once every backend has been tried.
+   */
+  select(exclude = new Set()) {
+    const untried = this.backends.filter((backend) => !exclude.has(backend))
+    const available = untried.filter((backend) => this.isAvailable(backend))
+    // With every backend down, trying one beats failing every request
+    const candidates = available.length > 0 ? available : untried
+    if (candidates.length === 0) {
+      return null
+    }
+
+    if (this.strategy === "weighted") {
+      // Smooth weighted round-robin, which spreads a heavy backend's turns out instead of bunching them
+      const totalWeight = candidates.reduce((sum, backend) => sum + backend.weight, 0)
+      let best = null
+      for (const backend of candidates) {
+        backend.currentWeight += backend.weight
+        if (!best || backend.currentWeight > best.currentWeight) {
+          best = backend
+        }
+      }
+      best.currentWeight -= totalWeight
+      return best
+    }
+
+    // Round-robin order, which also breaks least_connections ties
+    const start = this.cursor++ % candidates.length
+    const ordered = [...candidates.slice(start), ...candidates.slice(0, start)]
+    if (this.strategy === "least_connections") {
+      return ordered.reduce((best, backend) =>
+        backend.active / backend.weight < best.active / best.weight ? backend : best,
+      )
+    }
+    return ordered[0]
+  }
+
+  /**
+   * Count a request against a backend; the returned function ends it and is safe to call twice
+   */
+  acquire(backend) {
+    backend.active++
+    backend.requests++
+
+    let released = false
+    return () => {
+      if (!released) {
+        released = true
+        backend.active--
+      }
+    }
+  }
+
+  recordSuccess(backend) {
+    backend.connectionFailures = 0
+  }
+
+  /**
+   * Record a failed connection, ejecting the backend for a while after too many in a row
+   */
+  recordFailure(backend, error) {
+    backend.failures++
+    backend.connectionFailures++
+    backend.lastError = error.code || error.message
+
+    if (this.ejection.maxFailures > 0 && backend.connectionFailures >= this.ejection.maxFailures) {
+      backend.connectionFailures = 0
+      backend.ejectedUntil = Date.now() + this.ejection.time * 1000
+      this.logger.warn(
+        `Ejected upstream ${backend.url} for ${this.ejection.time}s after ${this.ejection.maxFailures} failed connections`,
+      )
+    }
+  }
+
+  async runHealthChecks() {
+    await Promise.all(this.backends.map((backend) => this.checkBackend(backend)))
+  }
+
+  async checkBackend(backend) {
+    let error = null
+    try {
+      const response = await axios.get(new URL(this.healthCheck.path, backend.url).href, {
+        timeout: this.healthCheck.timeout * 1000,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: { "User-Agent": "ASN-Proxy-HealthCheck/1.0" },
+      })
+      // Any answer but a server error counts, so "/" works even when it redirects or needs a login
+      if (response.status >= 500) {
+        error = `HTTP ${response.status}`
+      }
+    } catch (requestError) {
+      error = requestError.code || requestError.message
+    }
+    backend.lastCheck = new Date()
+
+    if (!error) {
+      backend.checkFailures = 0
+      backend.checkSuccesses++
+      if (!backend.healthy && backend.checkSuccesses >= this.healthCheck.healthyThreshold) {
+        backend.healthy = true
+        this.logger.info(`Upstream ${backend.url} is healthy again`)
+      }
+      return
+    }
+
+    backend.checkSuccesses = 0
+    backend.checkFailures++
+    backend.lastError = error
+    if (backend.healthy && backend.checkFailures >= this.healthCheck.unhealthyThreshold) {
+      backend.healthy = false
+      this.logger.warn(`Upstream ${backend.url} failed ${backend.checkFailures} health checks: ${error}`)
+    }
+  }
+
+  getStats() {
+    const now = Date.now()
+    return {
+      strategy: this.strategy,
+      healthChecks: this.healthCheck.enabled,
+      backends: this.backends.map((backend) => ({
+        url: backend.url,
+        weight: backend.weight,
+        healthy: backend.healthy,
+        ejectedUntil: backend.ejectedUntil > now ? new Date(backend.ejectedUntil) : null,
+        available: this.isAvailable(backend, now),
+        activeConnections: backend.active,
+        requests: backend.requests,
+        failures: backend.failures,
+        lastCheck: backend.lastCheck,
+        lastError: backend.lastError,
+      })),
+    }
+  }
+
+  destroy() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval)
+      this.checkInterval = null
+    }
+  }
+}
+
+module.exports = UpstreamPool
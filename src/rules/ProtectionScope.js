@@ -0,0 +1,71 @@
+const { globToRegExp, normalizePath } = require("../utils/pathUtils")
+
+/**
+ * Which requests the proxy checks at all, from the protection config section.
+ * Exempt requests skip every check, including ASN resolution.
+ */
+class ProtectionScope {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+
+    this.load()
+
+    this.onConfigChange = (key) => {
+      if (key === "protection" || key.startsWith("protection.")) {
+        this.load()
+      }
+    }
+    this.config.on("change", this.onConfigChange)
+  }
+
+  load() {
+    const toPatterns = (globs) => (Array.isArray(globs) ? globs : [globs]).map((glob) => globToRegExp(String(glob)))
+    const methods = this.config.get("protection.methods", [])
+
+    this.paths = toPatterns(this.config.get("protection.paths", ["/**"]))
+    this.exemptPaths = toPatterns(this.config.get("protection.exempt_paths", []))
+    this.methods = methods.length > 0 ? new Set(methods.map((method) => method.toUpperCase())) : null
+    this.htmlOnly = !!this.config.get("protection.html_only", false)
+  }
+
+  /**
+   * Why a request is outside the protected scope ("exempt_path", "unprotected_path" or "unprotected_method"), or null
+   */
+  getExemption(req) {
+    if (this.methods && !this.methods.has(req.method)) {
+      return "unprotected_method"
+    }
+
+    const path = normalizePath(req.originalUrl.split("?")[0])
+    if (this.exemptPaths.some((pattern) => pattern.test(path))) {
+      return "exempt_path"
+    }
+    if (!this.paths.some((pattern) => pattern.test(path))) {
+      return "unprotected_path"
+    }
+
+    return null
+  }
+
+  /**
+   * Whether a request is a top-level HTML page load rather than a sub-resource, fetch() or API call.
+   * Sec-Fetch-Mode is used when the browser sends it; otherwise the Accept header has to ask for HTML.
+   */
+  static isNavigation(req) {
+    const fetchMode = req.headers["sec-fetch-mode"]
+    if (fetchMode) {
+      return fetchMode === "navigate"
+    }
+
+    // Clients that send no Accept header at all, like most scripts, are treated as page loads
+    const accept = req.headers.accept
+    return !accept || accept.includes("text/html")
+  }
+
+  destroy() {
+    this.config.removeListener("change", this.onConfigChange)
+  }
+}
+
+module.exports = ProtectionScope
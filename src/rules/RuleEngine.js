@@ -0,0 +1,142 @@
+const ConfigValidator = require("../config/ConfigValidator")
+const { isIPInRanges, parseCIDR } = require("../utils/ipUtils")
+const { globToRegExp } = require("../utils/pathUtils")
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+
+/**
+ * Ordered access rules from the access_rules config section. The first matching rule decides;
+ * requests no rule matches go on to the IP range, country and ASN lists, then access_rules.default_action.
+ */
+class RuleEngine {
+  constructor(config, logger) {
+    this.config = config
+    this.logger = logger
+    this.rules = []
+    this.defaultAction = "allow"
+    this.loadedAt = null
+
+    this.load()
+
+    // Rules are recompiled whenever a reload changes them
+    this.onConfigChange = (key) => {
+      if (key === "access_rules" || key.startsWith("access_rules.")) {
+        this.load()
+      }
+    }
+    this.config.on("change", this.onConfigChange)
+  }
+
+  load() {
+    const accessRules = this.config.get("access_rules") || {}
+    const errors = ConfigValidator.validateAccessRules(accessRules)
+    if (errors.length > 0) {
+      // Keep serving with the previous rules rather than dropping protection on a typo
+      this.logger.error(`Invalid access_rules, keeping the previous rules: ${errors.join("; ")}`)
+      return false
+    }
+
+    this.rules = (accessRules.rules || []).map((rule, index) => this.compileRule(rule, index))
+    this.defaultAction = accessRules.default_action || "allow"
+    this.loadedAt = new Date()
+    this.logger.info(`Loaded ${this.rules.length} access rules (default action: ${this.defaultAction})`)
+    return true
+  }
+
+  compileRule(rule, index) {
+    const match = rule.match
+    // Request tests are cheap; resolution tests need the ASN and country and only run if the rest matched
+    const requestTests = []
+    const resolutionTests = []
+
+    if (match.cidr !== undefined) {
+      const ranges = toList(match.cidr).map(parseCIDR)
+      requestTests.push((request) => isIPInRanges(request.ip, ranges))
+    }
+    if (match.method !== undefined) {
+      const methods = new Set(toList(match.method).map((method) => method.toUpperCase()))
+      requestTests.push((request) => methods.has(request.method))
+    }
+    if (match.host !== undefined) {
+      const hosts = toList(match.host).map((glob) => globToRegExp(glob, "."))
+      requestTests.push((request) => hosts.some((host) => host.test(request.host)))
+    }
+    if (match.path !== undefined) {
+      const paths = toList(match.path).map((glob) => globToRegExp(glob, "/"))
+      requestTests.push((request) => paths.some((path) => path.test(request.path)))
+    }
+    if (match.user_agent !== undefined) {
+      const userAgent = new RegExp(match.user_agent, "i")
+      requestTests.push((request) => userAgent.test(request.headers["user-agent"] || ""))
+    }
+    if (match.headers !== undefined) {
+      const headers = Object.entries(match.headers).map(([name, pattern]) => [
+        name.toLowerCase(),
+        new RegExp(pattern, "i"),
+      ])
+      requestTests.push((request) =>
+        headers.every(([name, pattern]) => pattern.test(toList(request.headers[name] || "").join(", "))),
+      )
+    }
+    if (match.asn !== undefined) {
+      const asns = new Set(toList(match.asn).map((asn) => Number.parseInt(String(asn).replace(/^AS/i, ""))))
+      resolutionTests.push((resolved) => asns.has(resolved.asn))
+    }
+    if (match.country !== undefined) {
+      const countries = new Set(toList(match.country).map((country) => country.toUpperCase()))
+      resolutionTests.push((resolved) => countries.has(resolved.country))
+    }
+
+    return {
+      name: rule.name || `rule ${index + 1}`,
+      action: rule.action,
+      difficulty: rule.difficulty || null,
+      requestTests,
+      resolutionTests,
+      hits: 0,
+    }
+  }
+
+  /**
+   * Find the first rule matching a request, or null.
+   * The request is { ip, host, path, method, headers, resolve }, where resolve() returns { asn, country }
+   * and is only called when a rule needs them. Pass { record: false } to leave the hit counters alone.
+   */
+  async evaluate(request, options = {}) {
+    let resolved = null
+
+    for (const rule of this.rules) {
+      if (!rule.requestTests.every((test) => test(request))) {
+        continue
+      }
+
+      if (rule.resolutionTests.length > 0) {
+        resolved = resolved || (await request.resolve())
+        if (!rule.resolutionTests.every((test) => test(resolved))) {
+          continue
+        }
+      }
+
+      if (options.record !== false) {
+        rule.hits++
+      }
+      return rule
+    }
+
+    return null
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.map((rule) => ({ name: rule.name, action: rule.action, hits: rule.hits })),
+      defaultAction: this.defaultAction,
+      loadedAt: this.loadedAt,
+    }
+  }
+
+  destroy() {
+    this.config.removeListener("change", this.onConfigChange)
+  }
+}
+
+module.exports = RuleEngine
@@ -0,0 +1,68 @@
+class StatsCollector {
+  constructor() {
+    this.startedAt = Date.now()
+    this.counters = {
+      total: 0,
+      allowed: 0,
+      challenged: 0,
+      blocked: 0,
+      logged: 0,
+      exempt: 0,
+      session_bypass: 0,
+      private_bypass: 0,
+      verified_bypass: 0,
+      resolution_failures: 0,
+      errors: 0,
+      captcha_solved: 0,
+      captcha_failed: 0,
+    }
+    this.asnCounts = new Map()
+  }
+
+  increment(counter, amount = 1) {
+    if (!(counter in this.counters)) {
+      throw new Error(`Unknown stats counter: ${counter}`)
+    }
+    this.counters[counter] += amount
+  }
+
+  recordASN(asn, denied = false) {
+    const entry = this.asnCounts.get(asn) || { requests: 0, denied: 0 }
+    entry.requests++
+    if (denied) {
+      entry.denied++
+    }
+    this.asnCounts.set(asn, entry)
+  }
+
+  getTopDeniedASNs(limit = 10) {
+    return Array.from(this.asnCounts.entries())
+      .filter(([, entry]) => entry.denied > 0)
+      .sort((a, b) => b[1].denied - a[1].denied)
+      .slice(0, limit)
+      .map(([asn, entry]) => ({ asn, count: entry.denied }))
+  }
+
+  getUptime() {
+    return Math.floor((Date.now() - this.startedAt) / 1000)
+  }
+
+  getStats() {
+    return {
+      requests: { ...this.counters },
+      uniqueASNsSeen: this.asnCounts.size,
+      topDeniedASNs: this.getTopDeniedASNs(),
+      uptime: this.getUptime(),
+      startedAt: new Date(this.startedAt).toISOString(),
+    }
+  }
+
+  reset() {
+    for (const key of Object.keys(this.counters)) {
+      this.counters[key] = 0
+    }
+    this.asnCounts.clear()
+  }
+}
+
+module.exports = StatsCollector
@@ -0,0 +1,122 @@
+const { WebSocketServer } = require("ws")
+
+class StatsStream {
+  constructor(config, logger, options = {}) {
+    this.config = config
+    this.logger = logger
+    this.stats = options.stats
+    this.captchaManager = options.captchaManager
+    this.ipResolver = options.ipResolver
+    this.authenticate = options.authenticate || (() => true)
+
+    this.path = config.get("monitoring.websocket.path", "/ws/stats")
+    this.pushInterval = config.get("monitoring.websocket.push_interval", 5)
+    this.wss = new WebSocketServer({ noServer: true })
+    this.timer = null
+    this.lastSnapshot = null
+  }
+
+  attach(httpServer) {
+    httpServer.on("upgrade", (req, socket, head) => {
+      // Leave every other upgrade to the upstream WebSocket proxy, comparing the raw path as the proxy filter does
+      if (req.url.split("?")[0] !== this.path) {
+        return
+      }
+
+      // Only the query string is needed here, but a malformed target must not take the process down
+      let url
+      try {
+        url = new URL(req.url, "http://localhost")
+      } catch {
+        socket.destroy()
+        return
+      }
+
+      const authResult = this.authenticate(req, url)
+      if (authResult !== true) {
+        const status = authResult || 401
+        socket.write(`HTTP/1.1 ${status} ${status === 404 ? "Not Found" : "Unauthorized"}\r\nConnection: close\r\n\r\n`)
+        socket.destroy()
+        return
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit("connection", ws, req)
+      })
+    })
+
+    this.wss.on("connection", (ws, req) => {
+      this.logger.info(`Stats stream client connected from ${req.socket.remoteAddress}`)
+      ws.on("error", (error) => {
+        this.logger.debug(`Stats stream client error: ${error.message}`)
+      })
+    })
+
+    this.lastSnapshot = this.takeSnapshot()
+    this.timer = setInterval(() => this.broadcast(), this.pushInterval * 1000)
+    this.timer.unref()
+
+    this.logger.info(`Stats stream available at ${this.path} (every ${this.pushInterval}s)`)
+  }
+
+  takeSnapshot() {
+    const { requests } = this.stats.getStats()
+    return {
+      time: Date.now(),
+      total: requests.total,
+      denied: requests.challenged + requests.blocked,
+    }
+  }
+
+  async buildUpdate() {
+    const snapshot = this.takeSnapshot()
+    const previous = this.lastSnapshot || snapshot
+    const elapsed = Math.max((snapshot.time - previous.time) / 1000, 1)
+    this.lastSnapshot = snapshot
+
+    const { cacheStats } = await this.ipResolver.getStats()
+    const captchaStats = await this.captchaManager.getStats()
+    const lookups = cacheStats.hits + cacheStats.misses
+
+    return {
+      type: "stats_update",
+      timestamp: new Date(snapshot.time).toISOString(),
+      data: {
+        requests_per_second: Math.round(((snapshot.total - previous.total) / elapsed) * 10) / 10,
+        active_challenges: captchaStats.activeChallenges,
+        blocked_requests: snapshot.denied - previous.denied,
+        cache_hit_rate: lookups > 0 ? Math.round((cacheStats.hits / lookups) * 100) / 100 : 0,
+      },
+    }
+  }
+
+  async broadcast() {
+    let message
+    try {
+      message = JSON.stringify(await this.buildUpdate())
+    } catch (error) {
+      this.logger.error(`Failed to build stats update: ${error.message}`)
+      return
+    }
+
+    for (const client of this.wss.clients) {
+      if (client.readyState === client.OPEN) {
+        client.send(message)
+      }
+    }
+  }
+
+  destroy() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+    for (const client of this.wss.clients) {
+      client.terminate()
+    }
+    this.wss.close()
+    this.logger.info("Stats stream destroyed")
+  }
+}
+
+module.exports = StatsStream
@@ -0,0 +1,77 @@
+const NodeCache = require("node-cache")
+
+class MemoryCache {
+  constructor(ttl) {
+    this.cache = new NodeCache({ stdTTL: ttl })
+  }
+
+  async get(key) {
+    return this.cache.get(key)
+  }
+
+  async set(key, value, ttl) {
+    if (ttl !== undefined) {
+      this.cache.set(key, value, ttl)
+    } else {
+      this.cache.set(key, value)
+    }
+  }
+
+  async incr(key, ttl) {
+    // Counters keep the expiry of their first increment, so they count over a fixed window
+    const expiresAt = this.cache.getTtl(key)
+    if (expiresAt === undefined) {
+      await this.set(key, 1, ttl)
+      return 1
+    }
+
+    const value = (this.cache.get(key) || 0) + 1
+    this.cache.set(key, value, expiresAt === 0 ? 0 : Math.max((expiresAt - Date.now()) / 1000, 0.001))
+    return value
+  }
+
+  async take(key) {
+    return this.cache.take(key)
+  }
+
+  async del(key) {
+    this.cache.del(key)
+  }
+
+  async keys() {
+    return this.cache.keys()
+  }
+
+  async flush() {
+    this.cache.flushAll()
+  }
+
+  async getStats() {
+    return this.cache.getStats()
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this.type = "memory"
+    this.caches = new Map()
+  }
+
+  async connect() {}
+
+  createCache(name, options = {}) {
+    const cache = new MemoryCache(options.ttl || 0)
+    this.caches.set(name, cache)
+    return cache
+  }
+
+  async close() {
+    for (const cache of this.caches.values()) {
+      cache.cache.flushAll()
+      cache.cache.close()
+    }
+    this.caches.clear()
+  }
+}
+
+module.exports = MemoryStore
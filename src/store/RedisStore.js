@@ -0,0 +1,107 @@
+const { createClient } = require("redis")
+
+// Only the first increment sets the expiry, so counters cover a fixed window
+const INCR_SCRIPT = `
+local value = redis.call("INCR", KEYS[1])
+if value == 1 and tonumber(ARGV[1]) > 0 then
+  redis.call("EXPIRE", KEYS[1], ARGV[1])
+end
+return value
+`
+
+class RedisCache {
+  constructor(client, prefix, ttl) {
+    this.client = client
+    this.prefix = prefix
+    this.ttl = ttl
+    this.hits = 0
+    this.misses = 0
+  }
+
+  decode(raw) {
+    if (raw === null || raw === undefined) {
+      this.misses++
+      return undefined
+    }
+    this.hits++
+    return JSON.parse(raw)
+  }
+
+  async get(key) {
+    return this.decode(await this.client.get(this.prefix + key))
+  }
+
+  async set(key, value, ttl = this.ttl) {
+    const options = ttl > 0 ? { expiration: { type: "EX", value: ttl } } : undefined
+    await this.client.set(this.prefix + key, JSON.stringify(value), options)
+  }
+
+  async incr(key, ttl = this.ttl) {
+    // One script, so a counter can never be left behind without its expiry
+    return this.client.eval(INCR_SCRIPT, { keys: [this.prefix + key], arguments: [String(ttl)] })
+  }
+
+  async take(key) {
+    // GETDEL keeps one-time values (e.g. challenges) from being used twice across replicas
+    return this.decode(await this.client.getDel(this.prefix + key))
+  }
+
+  async del(key) {
+    await this.client.del(this.prefix + key)
+  }
+
+  async keys() {
+    const keys = []
+    for await (const batch of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 500 })) {
+      // node-redis v4 yields single keys, v5+ yields batches
+      for (const key of Array.isArray(batch) ? batch : [batch]) {
+        keys.push(key.slice(this.prefix.length))
+      }
+    }
+    return keys
+  }
+
+  async flush() {
+    const keys = await this.keys()
+    if (keys.length > 0) {
+      await this.client.del(keys.map((key) => this.prefix + key))
+    }
+  }
+
+  async getStats() {
+    // Counting keys means a SCAN of the whole keyspace, far too slow for /stats and every metrics scrape
+    return {
+      hits: this.hits,
+      misses: this.misses,
+    }
+  }
+}
+
+class RedisStore {
+  constructor(options, logger) {
+    this.type = "redis"
+    this.logger = logger
+    this.keyPrefix = options.keyPrefix || "asn-proxy:"
+    this.client = createClient({ url: options.url })
+    this.client.on("error", (error) => {
+      this.logger.error(`Redis store error: ${error.message}`)
+    })
+  }
+
+  async connect() {
+    await this.client.connect()
+    this.logger.info("Connected to Redis store")
+  }
+
+  createCache(name, options = {}) {
+    return new RedisCache(this.client, `${this.keyPrefix}${name}:`, options.ttl || 0)
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit()
+    }
+  }
+}
+
+module.exports = RedisStore
@@ -0,0 +1,29 @@
+const MemoryStore = require("./MemoryStore")
+
+class StoreFactory {
+  static create(config, logger) {
+    const type = config.get("store.type", "memory")
+
+    switch (type) {
+      case "memory":
+        logger.info("Using in-memory state store")
+        return new MemoryStore()
+      case "redis": {
+        // Only load the Redis client when it is actually configured
+        const RedisStore = require("./RedisStore")
+        logger.info("Using Redis state store")
+        return new RedisStore(
+          {
+            url: config.get("store.redis.url", "redis://localhost:6379"),
+            keyPrefix: config.get("store.redis.key_prefix", "asn-proxy:"),
+          },
+          logger,
+        )
+      }
+      default:
+        throw new Error(`Unsupported store type: ${type}`)
+    }
+  }
+}
+
+module.exports = StoreFactory
@@ -0,0 +1,46 @@
+/**
+ * Parse a Cookie header into a name/value map
+ */
+function parseCookies(header) {
+  const cookies = {}
+  if (!header) return cookies
+
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=")
+    if (index === -1) continue
+
+    const name = part.slice(0, index).trim()
+    const value = part.slice(index + 1).trim()
+    if (!name || name in cookies) continue
+
+    try {
+      cookies[name] = decodeURIComponent(value)
+    } catch {
+      cookies[name] = value
+    }
+  }
+
+  return cookies
+}
+
+/**
+ * Serialize a Set-Cookie header value. maxAge is in seconds.
+ */
+function serializeCookie(name, value, options = {}) {
+  let cookie = `${name}=${encodeURIComponent(value)}`
+  if (options.maxAge !== undefined) {
+    cookie += `; Max-Age=${Math.floor(options.maxAge)}`
+    cookie += `; Expires=${new Date(Date.now() + options.maxAge * 1000).toUTCString()}`
+  }
+  if (options.domain) cookie += `; Domain=${options.domain}`
+  cookie += `; Path=${options.path || "/"}`
+  if (options.httpOnly) cookie += "; HttpOnly"
+  if (options.secure) cookie += "; Secure"
+  if (options.sameSite) cookie += `; SameSite=${options.sameSite[0].toUpperCase()}${options.sameSite.slice(1)}`
+  return cookie
+}
+
+module.exports = {
+  parseCookies,
+  serializeCookie,
+}
@@ -1,37 +1,245 @@
 const net = require("net")
 
+const DEFAULT_TRUSTED_PROXIES = ["127.0.0.1", "::1"]
+
+// Special-purpose categories that skip the ASN check unless security.bypass_ip_categories says otherwise
+const DEFAULT_BYPASS_CATEGORIES = ["unspecified", "loopback", "private", "shared", "link_local"]
+
 /**
- * Extract client IP address from request
+ * Normalize an IP address: strip IPv6 zone IDs, lowercase, and unwrap IPv4-mapped IPv6 addresses
+ * in either notation ("::ffff:10.0.0.1" or "::ffff:a00:1")
  */
-function getClientIP(req) {
-  return (
-    req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-    req.headers["x-real-ip"] ||
-    req.connection?.remoteAddress ||
-    req.socket?.remoteAddress ||
-    req.ip ||
-    "127.0.0.1"
-  )
+function normalizeIP(ip) {
+  if (typeof ip !== "string") return null
+
+  const value = ip.trim().split("%")[0].toLowerCase()
+  if (!net.isIP(value)) return null
+
+  if (net.isIPv6(value) && value.includes("ffff")) {
+    const number = ipToBigInt(value)
+    if (number >> 32n === 0xffffn) {
+      return [24n, 16n, 8n, 0n].map((shift) => (number >> shift) & 0xffn).join(".")
+    }
+  }
+  return value
 }
 
 /**
- * Check if IP is in private range
+ * Convert a valid IPv4 or IPv6 address to a BigInt
  */
-function isPrivateIP(ip) {
-  if (!net.isIP(ip)) return false
+function ipToBigInt(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split(".").reduce((value, octet) => (value << 8n) + BigInt(octet), 0n)
+  }
+
+  let address = ip
+  // An embedded IPv4 tail ("::ffff:1.2.3.4") counts as the last two groups
+  const ipv4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(address)
+  if (ipv4Tail) {
+    const tail = ipToBigInt(ipv4Tail[1])
+    address = `${address.slice(0, ipv4Tail.index)}${(tail >> 16n).toString(16)}:${(tail & 0xffffn).toString(16)}`
+  }
+
+  const [head, tail] = address.split("::")
+  const headGroups = head ? head.split(":") : []
+  const tailGroups = tail ? tail.split(":") : []
+  const groups =
+    tail === undefined
+      ? headGroups
+      : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups]
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(`0x${group || "0"}`), 0n)
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address into { version, network, prefix }; null if invalid
+ */
+function parseCIDR(cidr) {
+  if (typeof cidr !== "string") return null
+
+  const [address, prefixText, ...rest] = cidr.trim().split("/")
+  const ip = normalizeIP(address)
+  if (!ip || rest.length > 0) return null
+
+  const version = net.isIPv4(ip) ? 4 : 6
+  const bits = version === 4 ? 32 : 128
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null
+
+  const prefix = prefixText === undefined ? bits : Number(prefixText)
+  if (prefix > bits) return null
 
-  const privateRanges = [
-    /^10\./,
-    /^172\.(1[6-9]|2[0-9]|3[01])\./,
-    /^192\.168\./,
-    /^127\./,
-    /^169\.254\./,
-    /^::1$/,
-    /^fc00:/,
-    /^fe80:/,
-  ]
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix)
+  return { version, network: ipToBigInt(ip) & mask, prefix, mask }
+}
+
+/**
+ * The /24 (IPv4) or /64 (IPv6) network of an address, such as "192.0.2.0/24"; null if invalid
+ */
+function getNetworkPrefix(ip) {
+  const normalized = normalizeIP(ip)
+  if (!normalized) return null
+
+  if (net.isIPv4(normalized)) {
+    return `${normalized.split(".").slice(0, 3).join(".")}.0/24`
+  }
+  const high = ipToBigInt(normalized) >> 64n
+  return `${[48n, 32n, 16n, 0n].map((shift) => ((high >> shift) & 0xffffn).toString(16)).join(":")}::/64`
+}
+
+/**
+ * Check whether an IP address falls inside any of the parsed CIDR ranges
+ */
+function isIPInRanges(ip, ranges) {
+  const normalized = normalizeIP(ip)
+  if (!normalized) return false
+
+  const version = net.isIPv4(normalized) ? 4 : 6
+  const value = ipToBigInt(normalized)
+  return ranges.some((range) => range.version === version && (value & range.mask) === range.network)
+}
+
+/**
+ * Extract the "for" addresses from a Forwarded header (RFC 7239), nearest hop last.
+ * Obfuscated identifiers and "unknown" come back as null.
+ */
+function parseForwardedHeader(header) {
+  if (!header) return []
 
-  return privateRanges.some((range) => range.test(ip))
+  return String(header)
+    .split(",")
+    .map((element) => {
+      const pair = element
+        .split(";")
+        .map((part) => part.trim())
+        .find((part) => part.toLowerCase().startsWith("for="))
+      if (!pair) return null
+
+      let node = pair
+        .slice(4)
+        .trim()
+        .replace(/^"(.*)"$/, "$1")
+      if (node.startsWith("[")) {
+        // "[2001:db8::1]:4711"
+        node = node.slice(1, node.indexOf("]"))
+      } else if (/^[\d.]+:\d+$/.test(node)) {
+        node = node.split(":")[0]
+      }
+
+      return normalizeIP(node)
+    })
+}
+
+/**
+ * Extract the client IP address from a request.
+ * Forwarding headers are only believed when the connecting peer is a trusted proxy: the chain is
+ * walked right to left through trusted hops, and the first untrusted address is the client.
+ * A source address from a PROXY protocol header stands in for the peer address.
+ */
+function getClientIP(req, options = {}) {
+  const trustedProxies = options.trustedProxies || DEFAULT_TRUSTED_PROXIES.map(parseCIDR)
+  const socket = req.socket || req.connection
+  const remoteAddress = normalizeIP(socket?.proxyProtocol?.sourceAddress || socket?.remoteAddress) || "127.0.0.1"
+
+  if (!isIPInRanges(remoteAddress, trustedProxies)) {
+    return remoteAddress
+  }
+
+  // CDNs such as Cloudflare put the visitor address in a single header of their own
+  if (options.clientIPHeader) {
+    const headerIP = normalizeIP(req.headers[options.clientIPHeader])
+    if (headerIP) return headerIP
+  }
+
+  const chain =
+    options.forwardedHeader === "forwarded"
+      ? parseForwardedHeader(req.headers.forwarded)
+      : (req.headers["x-forwarded-for"] || "").split(",").map(normalizeIP)
+
+  let clientIP = remoteAddress
+  for (let i = chain.length - 1; i >= 0; i--) {
+    // A malformed hop was not written by one of our proxies, so nothing left of it can be trusted
+    if (!chain[i]) break
+
+    clientIP = chain[i]
+    if (!isIPInRanges(clientIP, trustedProxies)) break
+  }
+
+  return clientIP
+}
+
+// IANA IPv4 and IPv6 special-purpose address registries (RFC 6890 and updates).
+// Entries with a null category are globally reachable blocks carved out of a wider special-purpose one.
+const SPECIAL_PURPOSE_RANGES = [
+  ["unspecified", "0.0.0.0/8"],
+  ["private", "10.0.0.0/8"],
+  ["shared", "100.64.0.0/10"],
+  ["loopback", "127.0.0.0/8"],
+  ["link_local", "169.254.0.0/16"],
+  ["private", "172.16.0.0/12"],
+  ["ietf_protocol", "192.0.0.0/24"],
+  [null, "192.0.0.9/32"],
+  [null, "192.0.0.10/32"],
+  ["documentation", "192.0.2.0/24"],
+  ["reserved", "192.88.99.0/24"],
+  ["private", "192.168.0.0/16"],
+  ["benchmarking", "198.18.0.0/15"],
+  ["documentation", "198.51.100.0/24"],
+  ["documentation", "203.0.113.0/24"],
+  ["multicast", "224.0.0.0/4"],
+  ["reserved", "240.0.0.0/4"],
+  ["unspecified", "::/128"],
+  ["loopback", "::1/128"],
+  ["translation", "64:ff9b:1::/48"],
+  ["discard", "100::/64"],
+  ["discard", "100:0:0:1::/64"],
+  ["ietf_protocol", "2001::/23"],
+  [null, "2001:1::1/128"],
+  [null, "2001:1::2/128"],
+  [null, "2001:3::/32"],
+  [null, "2001:4:112::/48"],
+  [null, "2001:20::/28"],
+  ["benchmarking", "2001:2::/48"],
+  ["documentation", "2001:db8::/32"],
+  ["documentation", "3fff::/20"],
+  ["private", "fc00::/7"],
+  ["link_local", "fe80::/10"],
+  ["multicast", "ff00::/8"],
+]
+  .map(([category, cidr]) => ({ category, ...parseCIDR(cidr) }))
+  // Most specific first, so the first match is the longest prefix
+  .sort((a, b) => b.prefix - a.prefix)
+
+const SPECIAL_PURPOSE_CATEGORIES = [...new Set(SPECIAL_PURPOSE_RANGES.map((range) => range.category).filter(Boolean))]
+
+/**
+ * Classify an address against the IANA special-purpose registries.
+ * Returns a category such as "private", "shared" (CGNAT) or "multicast", or null for a global address.
+ */
+function classifyIP(ip) {
+  const normalized = normalizeIP(ip)
+  if (!normalized) return null
+
+  const version = net.isIPv4(normalized) ? 4 : 6
+  const value = ipToBigInt(normalized)
+  const match = SPECIAL_PURPOSE_RANGES.find(
+    (range) => range.version === version && (value & range.mask) === range.network,
+  )
+  return match ? match.category : null
+}
+
+/**
+ * Check if an IP belongs to one of the given special-purpose categories (by default the ones that skip the ASN check)
+ */
+function isPrivateIP(ip, categories = DEFAULT_BYPASS_CATEGORIES) {
+  const category = classifyIP(ip)
+  return category !== null && categories.includes(category)
+}
+
+/**
+ * Check if an IP is special-purpose in any category, and so never has an ASN
+ */
+function isSpecialPurposeIP(ip) {
+  return classifyIP(ip) !== null
 }
 
 /**
@@ -42,7 +250,18 @@ function isValidIP(ip) {
 }
 
 module.exports = {
+  DEFAULT_TRUSTED_PROXIES,
+  DEFAULT_BYPASS_CATEGORIES,
+  SPECIAL_PURPOSE_CATEGORIES,
+  normalizeIP,
+  ipToBigInt,
+  parseCIDR,
+  getNetworkPrefix,
+  isIPInRanges,
+  parseForwardedHeader,
   getClientIP,
+  classifyIP,
   isPrivateIP,
+  isSpecialPurposeIP,
   isValidIP,
 }
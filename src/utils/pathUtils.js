@@ -0,0 +1,45 @@
+const path = require("path")
+
+/**
+ * Convert a glob to an anchored, case-insensitive RegExp.
+ * "**" matches anything, "*" anything but the separator, "?" one character other than the separator.
+ */
+function globToRegExp(glob, separator = "/") {
+  const notSeparator = `[^${separator === "/" ? "/" : "\\."}]`
+  let source = ""
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*"
+      i++
+    } else if (char === "*") {
+      source += `${notSeparator}*`
+    } else if (char === "?") {
+      source += notSeparator
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    }
+  }
+
+  return new RegExp(`^${source}$`, "i")
+}
+
+/**
+ * Normalize a URL path for matching the way the upstream server will see it: percent-decoded,
+ * with repeated slashes and dot segments collapsed, so "//wp%2Dlogin.php" matches "/wp-login.php"
+ */
+function normalizePath(urlPath) {
+  let decoded = urlPath
+  try {
+    decoded = decodeURIComponent(urlPath)
+  } catch {
+    // Invalid percent-encoding is matched as is
+  }
+  return path.posix.normalize(`/${decoded}`)
+}
+
+module.exports = {
+  globToRegExp,
+  normalizePath,
+}
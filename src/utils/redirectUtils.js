@@ -0,0 +1,53 @@
+const MAX_REDIRECT_LENGTH = 2048
+
+/**
+ * Check whether a host matches an allowlist entry; "*.example.com" matches subdomains only
+ */
+function hostMatches(url, entry) {
+  const pattern = entry.trim().toLowerCase()
+  if (pattern.startsWith("*.")) {
+    return url.hostname.endsWith(pattern.slice(1))
+  }
+
+  // Entries with a port must match it exactly
+  return pattern.includes(":") ? url.host === pattern : url.hostname === pattern
+}
+
+/**
+ * Check whether a redirect target is a same-site path, or an http(s) URL on an allowed host
+ */
+function isSafeRedirect(target, allowedHosts = []) {
+  if (typeof target !== "string" || !target || target.length > MAX_REDIRECT_LENGTH) {
+    return false
+  }
+
+  // Browsers drop tabs and newlines and treat backslashes as slashes, which turns "/\evil.com" into "//evil.com"
+  if (/[\u0000-\u001f\u007f\\]/.test(target)) {
+    return false
+  }
+
+  if (target.startsWith("/")) {
+    return !target.startsWith("//")
+  }
+
+  if (allowedHosts.length === 0) {
+    return false
+  }
+
+  let url
+  try {
+    url = new URL(target)
+  } catch {
+    return false
+  }
+
+  if ((url.protocol !== "http:" && url.protocol !== "https:") || url.username || url.password) {
+    return false
+  }
+
+  return allowedHosts.some((entry) => hostMatches(url, entry))
+}
+
+module.exports = {
+  isSafeRedirect,
+}
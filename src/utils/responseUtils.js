@@ -0,0 +1,17 @@
+/**
+ * Send an error using the documented JSON error envelope
+ */
+function sendError(res, status, code, message, details = null) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      details,
+      timestamp: new Date().toISOString(),
+    },
+  })
+}
+
+module.exports = {
+  sendError,
+}
@@ -0,0 +1,42 @@
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ */
+function escapeHtml(value) {
+  if (value === undefined || value === null) return ""
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+}
+
+function lookup(view, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), view)
+}
+
+function renderSections(template, view) {
+  return template.replace(/\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (match, kind, key, content) => {
+    const show = kind === "#" ? !!lookup(view, key) : !lookup(view, key)
+    return show ? renderSections(content, view) : ""
+  })
+}
+
+/**
+ * Render a template with HTML-escaped {{var}} tags and
+ * {{#var}}...{{/var}} / {{^var}}...{{/var}} sections (shown when truthy / falsy)
+ */
+function renderTemplate(template, view) {
+  // Values are substituted in a single pass after sections, so tags inside them are never expanded
+  return renderSections(template, view).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) =>
+    escapeHtml(lookup(view, key)),
+  )
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+}